@@ -0,0 +1,56 @@
+// Password hashing and signed access tokens for the dashboard and API
+// Tokens are JWT-shaped (header.payload.signature, HMAC-SHA256) so standard tooling can decode them
+
+const crypto = require('crypto');
+
+const ROLES = ['agent', 'lead', 'admin'];
+
+// scrypt with a per-user salt, stored as `scrypt$<salt>$<hash>`
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(claims, secret, ttlMs) {
+  const now = Date.now();
+  const payload = { ...claims, iat: Math.floor(now / 1000), exp: Math.floor((now + ttlMs) / 1000) };
+  const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+// Returns the claims, or null if the token is malformed, forged or expired
+function verifyToken(token, secret) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, signToken, verifyToken };
@@ -0,0 +1,96 @@
+// Intercom REST API client, used to write tracked time back to conversations
+// Point INTERCOM_API_BASE at a local fake API to test without a real workspace
+
+const axios = require('axios');
+
+const DEFAULT_API_BASE = 'https://api.intercom.io';
+const API_VERSION = '2.11';
+
+// Network errors, timeouts, rate limits and server errors are worth retrying; other 4xx are not
+function isRetryable(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class IntercomApi {
+  constructor({ accessToken, baseUrl = DEFAULT_API_BASE, maxRetries = 3, retryBaseDelay = 1000, timeout = 10000 }) {
+    this.maxRetries = maxRetries;
+    this.retryBaseDelay = retryBaseDelay;
+    this.http = axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'Intercom-Version': API_VERSION
+      }
+    });
+  }
+
+  // Retries with exponential backoff (base, 2x base, 4x base...), honouring Retry-After on 429
+  async request(method, url, data) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.request({ method, url, data });
+        return response.data;
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isRetryable(error)) throw error;
+
+        const retryAfter = error.response && parseInt(error.response.headers['retry-after'], 10);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryBaseDelay * Math.pow(2, attempt);
+        console.warn(`Intercom API ${method.toUpperCase()} ${url} failed (${error.response ? error.response.status : error.code}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // The admin and workspace (app) the token belongs to
+  getMe() {
+    return this.request('get', '/me');
+  }
+
+  // The attributes must already exist as conversation data attributes in the workspace
+  updateConversationAttributes(conversationId, attributes) {
+    return this.request('put', `/conversations/${encodeURIComponent(conversationId)}`, {
+      custom_attributes: attributes
+    });
+  }
+
+  // Internal note, only visible to teammates
+  addNote(conversationId, adminId, body) {
+    return this.request('post', `/conversations/${encodeURIComponent(conversationId)}/reply`, {
+      message_type: 'note',
+      type: 'admin',
+      admin_id: String(adminId),
+      body
+    });
+  }
+}
+
+// OAuth: trade the code from the install redirect for the workspace's access token
+async function exchangeOAuthCode(code, { clientId, clientSecret, baseUrl = process.env.INTERCOM_API_BASE || DEFAULT_API_BASE }) {
+  const response = await axios.post(`${baseUrl.replace(/\/+$/, '')}/auth/eagle/token`, {
+    code,
+    client_id: clientId,
+    client_secret: clientSecret
+  }, { timeout: 10000 });
+
+  return response.data.access_token || response.data.token;
+}
+
+// Returns null when INTERCOM_ACCESS_TOKEN isn't set, so write-back is simply off
+function createIntercomApi(options = {}) {
+  const accessToken = options.accessToken || process.env.INTERCOM_ACCESS_TOKEN;
+  if (!accessToken) return null;
+
+  return new IntercomApi({
+    accessToken,
+    baseUrl: options.baseUrl || process.env.INTERCOM_API_BASE || DEFAULT_API_BASE,
+    maxRetries: options.maxRetries ?? (parseInt(process.env.INTERCOM_API_MAX_RETRIES, 10) || 3),
+    retryBaseDelay: options.retryBaseDelay ?? (parseInt(process.env.INTERCOM_API_RETRY_DELAY_MS, 10) || 1000)
+  });
+}
+
+module.exports = { IntercomApi, createIntercomApi, exchangeOAuthCode };
@@ -0,0 +1,188 @@
+// Outbound webhooks: timer lifecycle events POSTed as signed JSON to subscriber URLs
+// Deliveries are queued through storage, so they survive a restart, and retried with exponential
+// backoff. A delivery that fails every attempt moves to the dead-letter list until it's retried or removed.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+const EVENT_TYPES = ['timer.started', 'timer.paused', 'timer.resumed', 'timer.stopped', 'session.finalised'];
+
+// Outbound URLs are set by workspace admins, which includes anyone who installs the app, so they must not
+// reach loopback, link-local (cloud metadata), private or other internal addresses.
+// OUTBOUND_ALLOWED_HOSTS lists hostnames exempt from this, e.g. an internal BI endpoint.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mappedIpv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mappedIpv4) return BLOCKED_ADDRESSES.check(mappedIpv4[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedHost(hostname) {
+  return (process.env.OUTBOUND_ALLOWED_HOSTS || '').split(',')
+    .map(host => host.trim().toLowerCase())
+    .includes(hostname.toLowerCase());
+}
+
+// Returns why a subscriber or alert URL can't be used, or null if it can
+async function checkOutboundUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be an http or https URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'url must be an http or https URL';
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isAllowedHost(hostname)) return null;
+
+  try {
+    const addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    return addresses.some(isBlockedAddress) ? `${url.hostname} is a private or internal address` : null;
+  } catch (error) {
+    return `${url.hostname} could not be resolved`;
+  }
+}
+
+// dns.lookup that refuses internal addresses, so a hostname can't be re-pointed at one after checkOutboundUrl passed
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private or internal address`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// axios options for every request to a user-supplied URL; redirects could lead anywhere, so they aren't followed
+const OUTBOUND_REQUEST_OPTIONS = { lookup: guardedLookup, maxRedirects: 0 };
+
+// Same scheme as Intercom's X-Hub-Signature-256: HMAC-SHA256 of the raw body with the subscription secret
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+class WebhookDispatcher {
+  constructor(storage, { maxAttempts = 6, retryBaseDelay = 5000, timeout = 10000, pollInterval = 1000 } = {}) {
+    this.storage = storage;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseDelay = retryBaseDelay;
+    this.timeout = timeout;
+    this.pollInterval = pollInterval;
+    this.inFlight = new Set(); // delivery ids being sent right now
+  }
+
+  // Queue an event for every subscription in the workspace that wants this type, and send it straight away
+  publish(workspaceId, type, data, at = Date.now()) {
+    const event = { id: crypto.randomUUID(), type, created_at: at, workspace_id: workspaceId, data };
+
+    this.storage.listWebhookSubscriptions()
+      .filter(subscription => subscription.workspace_id === workspaceId && subscription.events.includes(type))
+      .forEach(subscription => {
+        const deliveryId = crypto.randomUUID();
+        this.storage.saveWebhookDelivery(deliveryId, {
+          delivery_id: deliveryId,
+          subscription_id: subscription.subscription_id,
+          workspace_id: workspaceId,
+          event,
+          attempts: 0,
+          next_attempt_at: at,
+          last_error: null,
+          created_at: Date.now()
+        });
+      });
+
+    this.processDue();
+  }
+
+  // Send every queued delivery whose next attempt is due
+  processDue() {
+    const now = Date.now();
+    this.storage.listWebhookDeliveries()
+      .filter(delivery => delivery.next_attempt_at <= now && !this.inFlight.has(delivery.delivery_id))
+      .forEach(delivery => this.deliver(delivery));
+  }
+
+  async deliver(delivery) {
+    const subscription = this.storage.getWebhookSubscription(delivery.subscription_id);
+    if (!subscription) {
+      // Unsubscribed since the event was queued
+      this.storage.deleteWebhookDelivery(delivery.delivery_id);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    this.inFlight.add(delivery.delivery_id);
+
+    try {
+      const urlError = await checkOutboundUrl(subscription.url);
+      if (urlError) throw new Error(urlError);
+
+      await axios.post(subscription.url, body, {
+        ...OUTBOUND_REQUEST_OPTIONS,
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Time-Tracker-Event': delivery.event.type,
+          'X-Time-Tracker-Delivery': delivery.delivery_id,
+          'X-Time-Tracker-Signature': signPayload(body, subscription.secret)
+        }
+      });
+      this.storage.deleteWebhookDelivery(delivery.delivery_id);
+    } catch (error) {
+      this.recordFailure(delivery, error.response ? `HTTP ${error.response.status}` : error.message);
+    } finally {
+      this.inFlight.delete(delivery.delivery_id);
+    }
+  }
+
+  // Backs off base, 2x base, 4x base... and dead-letters the delivery after maxAttempts
+  recordFailure(delivery, lastError) {
+    const attempts = delivery.attempts + 1;
+
+    if (attempts >= this.maxAttempts) {
+      this.storage.deleteWebhookDelivery(delivery.delivery_id);
+      this.storage.saveDeadLetter(delivery.delivery_id, { ...delivery, attempts, last_error: lastError, failed_at: Date.now() });
+      console.error(`Webhook delivery ${delivery.delivery_id} (${delivery.event.type}) dead-lettered after ${attempts} attempts: ${lastError}`);
+      return;
+    }
+
+    const delay = this.retryBaseDelay * Math.pow(2, attempts - 1);
+    this.storage.saveWebhookDelivery(delivery.delivery_id, {
+      ...delivery,
+      attempts,
+      last_error: lastError,
+      next_attempt_at: Date.now() + delay
+    });
+    console.warn(`Webhook delivery ${delivery.delivery_id} (${delivery.event.type}) failed (${lastError}), retrying in ${delay}ms`);
+  }
+
+  // Put a dead letter back on the queue with a fresh set of attempts. Returns false if it doesn't exist.
+  retryDeadLetter(deliveryId) {
+    const deadLetter = this.storage.getDeadLetter(deliveryId);
+    if (!deadLetter) return false;
+
+    const { failed_at, ...delivery } = deadLetter;
+    this.storage.deleteDeadLetter(deliveryId);
+    this.storage.saveWebhookDelivery(deliveryId, { ...delivery, attempts: 0, next_attempt_at: Date.now() });
+    this.processDue();
+    return true;
+  }
+
+  start() {
+    const interval = setInterval(() => this.processDue(), this.pollInterval);
+    interval.unref();
+    return interval;
+  }
+}
+
+module.exports = { EVENT_TYPES, OUTBOUND_REQUEST_OPTIONS, WebhookDispatcher, checkOutboundUrl, signPayload };
@@ -1,15 +1,55 @@
 // Client-side timer management for Intercom Time Tracker
 // This script handles browser events and communicates with the server
 
+// Timer events waiting to reach the server survive reloads in localStorage, under
+// QUEUE_STORAGE_KEY.<page id> so tabs don't overwrite each other's queues
+const QUEUE_STORAGE_KEY = 'intercomTimeTracker.queue';
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+// Conversation URLs across Intercom inbox layouts, e.g.
+//   /a/apps/<app>/inbox/inbox/<inbox>/conversations/<id>
+//   /a/inbox/<app>/inbox/shared/all/conversation/<id>
+const CONVERSATION_URL_PATTERN = /\/conversations?\/(\d+)(?=[/?#]|$)/;
+
+// Message the host page (or a canvas-launched frame) can post to pass in the admin identity
+const IDENTIFY_MESSAGE_TYPE = 'intercom-time-tracker:identify';
+
+// Window event fired when the server rejects the token; answer it with identify(adminId, newToken)
+const AUTH_REQUIRED_EVENT = 'intercom-time-tracker:auth-required';
+
 class IntercomTimeTracker {
-  constructor(serverUrl) {
-    this.serverUrl = serverUrl;
+  // options.adminId: the signed-in admin, if the host page knows it up front
+  // options.getAdminId: called when needed if adminId isn't set yet
+  // options.workspaceId: the Intercom workspace (app id); omit for single-workspace installs
+  // options.token: API token from POST /auth/login for the signed-in admin's user
+  // options.onAuthRequired: called with the HTTP status when the token is rejected (see AUTH_REQUIRED_EVENT)
+  constructor(serverUrl, options = {}) {
+    this.serverUrl = (serverUrl || '').replace(/\/+$/, '');
+    this.workspaceId = options.workspaceId || null;
+    this.token = options.token || null;
+    this.adminId = options.adminId || null;
+    this.getAdminId = options.getAdminId || null;
+    this.onAuthRequired = options.onAuthRequired || null;
+    this.pendingConversationId = null;
     this.currentTimer = null;
     this.isVisible = true;
     this.heartbeatInterval = null;
 
+    // Offline-resilient event queue
+    this.queueKey = `${QUEUE_STORAGE_KEY}.${this.generateEventId()}`;
+    this.queue = this.loadQueue();
+    this.saveQueue();
+    this.flushing = false;
+    this.retryAttempt = 0;
+    this.retryTimeout = null;
+    this.authRequired = false; // token rejected: hold the queue until identify() brings a new one
+
     this.initializeEventListeners();
     this.startHeartbeat();
+
+    // Deliver anything left over from a previous page (duplicates are ignored server-side)
+    this.flushQueue();
   }
 
   initializeEventListeners() {
@@ -20,20 +60,80 @@ class IntercomTimeTracker {
       console.log('Visibility changed:', this.isVisible ? 'visible' : 'hidden');
     });
 
-    // Handle page unload (closing tab/window)
+    // Handle page unload (closing tab/window). A fetch started here is often cancelled,
+    // so the pause is queued and sent with sendBeacon.
     window.addEventListener('beforeunload', () => {
-      this.pauseAllTimers();
+      this.pauseAllTimers('tab_close');
+      this.flushWithBeacon();
     });
 
     // Handle page unload for mobile/app scenarios
     window.addEventListener('pagehide', () => {
-      this.pauseAllTimers();
+      this.pauseAllTimers('tab_close');
+      this.flushWithBeacon();
+    });
+
+    // Retry as soon as the network comes back
+    window.addEventListener('online', () => {
+      this.flushQueue();
     });
 
-    // Handle conversation switches (if we can detect them)
+    // Accept the admin identity from the host page or the canvas
+    this.handleMessage = (event) => {
+      const data = event.data || {};
+      if (data.type !== IDENTIFY_MESSAGE_TYPE || !data.admin_id) return;
+      if (!this.isTrustedOrigin(event.origin)) {
+        console.warn('Ignoring identify message from untrusted origin:', event.origin);
+        return;
+      }
+      this.identify(data.admin_id, data.token);
+    };
+    window.addEventListener('message', this.handleMessage);
+
+    // Handle conversation switches
     this.observeConversationChanges();
   }
 
+  // Same origin as the page, or the origin the tracker talks to
+  isTrustedOrigin(origin) {
+    const serverOrigin = this.serverUrl ? new URL(this.serverUrl, window.location.href).origin : window.location.origin;
+    return origin === window.location.origin || origin === serverOrigin;
+  }
+
+  // Set the signed-in admin (and their API token, if given). Starts the timer for a conversation
+  // that was opened before we knew who was viewing it.
+  identify(adminId, token) {
+    this.adminId = String(adminId);
+    if (token) this.token = token;
+    console.log('Identified admin:', this.adminId);
+
+    if (token && this.authRequired) {
+      this.authRequired = false;
+      this.retryAttempt = 0;
+      this.flushQueue();
+    }
+
+    if (this.pendingConversationId) {
+      const conversationId = this.pendingConversationId;
+      this.pendingConversationId = null;
+      this.startTimer(this.adminId, conversationId);
+    }
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    return headers;
+  }
+
+  resolveAdminId() {
+    if (!this.adminId && this.getAdminId) {
+      const adminId = this.getAdminId();
+      if (adminId) this.adminId = String(adminId);
+    }
+    return this.adminId;
+  }
+
   // Start a heartbeat to keep server in sync and detect state changes
   startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
@@ -47,18 +147,25 @@ class IntercomTimeTracker {
     if (!this.currentTimer) return;
 
     try {
-      await fetch(`${this.serverUrl}/api/timer/heartbeat`, {
+      const response = await fetch(`${this.serverUrl}/api/timer/heartbeat`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.buildHeaders(),
         body: JSON.stringify({
+          workspace_id: this.workspaceId,
           admin_id: this.currentTimer.admin_id,
           conversation_id: this.currentTimer.conversation_id,
           timestamp: Date.now(),
           visible: this.isVisible
         })
       });
+
+      const result = await response.json();
+
+      // Another tab or device started a timer for this admin, so the server paused ours
+      if (result.superseded) {
+        console.log('Timer superseded by conversation:', result.active_conversation_id);
+        this.currentTimer = null;
+      }
     } catch (error) {
       console.error('Heartbeat failed:', error);
     }
@@ -69,7 +176,7 @@ class IntercomTimeTracker {
     if (this.currentTimer && 
         (this.currentTimer.admin_id !== adminId || 
          this.currentTimer.conversation_id !== conversationId)) {
-      await this.pauseTimer(this.currentTimer.admin_id, this.currentTimer.conversation_id);
+      this.pauseTimer(this.currentTimer.admin_id, this.currentTimer.conversation_id, 'navigation');
     }
 
     this.currentTimer = {
@@ -78,111 +185,230 @@ class IntercomTimeTracker {
       start_time: Date.now()
     };
 
-    try {
-      const response = await fetch(`${this.serverUrl}/api/timer/start`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          admin_id: adminId,
-          conversation_id: conversationId
-        })
-      });
+    return this.enqueueEvent('start', adminId, conversationId);
+  }
 
-      const result = await response.json();
-      console.log('Timer started:', result);
-      return result;
-    } catch (error) {
-      console.error('Failed to start timer:', error);
-      return null;
+  // reason: 'manual', 'navigation' or 'tab_close' (recorded on the session timeline)
+  async pauseTimer(adminId, conversationId, reason = 'manual') {
+    return this.enqueueEvent('pause', adminId, conversationId, { reason });
+  }
+
+  async resumeTimer(adminId, conversationId) {
+    return this.enqueueEvent('resume', adminId, conversationId);
+  }
+
+  async pauseAllTimers(reason = 'manual') {
+    if (this.currentTimer) {
+      const { admin_id, conversation_id } = this.currentTimer;
+      this.currentTimer = null;
+      await this.pauseTimer(admin_id, conversation_id, reason);
     }
   }
 
-  async pauseTimer(adminId, conversationId) {
+  // Queue a timer event stamped with the client time it happened, then try to deliver it.
+  // Resolves with the server's result for the event, or null if it's still queued.
+  async enqueueEvent(type, adminId, conversationId, extra = {}) {
+    const event = {
+      event_id: this.generateEventId(),
+      type,
+      admin_id: adminId,
+      conversation_id: conversationId,
+      client_timestamp: Date.now(),
+      ...extra
+    };
+
+    this.queue.push(event);
+    this.saveQueue();
+
+    const results = await this.flushQueue();
+    const result = results ? results.find(r => r.event_id === event.event_id) : null;
+    console.log(`Timer ${type}:`, result || 'queued');
+    return result || null;
+  }
+
+  // Send every queued event in one batch. On failure keep them and retry with exponential backoff.
+  // A rejected token isn't retried: the events wait until identify() supplies a new one.
+  async flushQueue() {
+    if (this.flushing || this.authRequired || this.queue.length === 0) return null;
+
+    this.flushing = true;
+    const batch = this.queue.slice();
+
     try {
-      const response = await fetch(`${this.serverUrl}/api/timer/pause`, {
+      const response = await fetch(`${this.serverUrl}/api/timer/events`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          admin_id: adminId,
-          conversation_id: conversationId
-        })
+        headers: this.buildHeaders(),
+        body: JSON.stringify({ workspace_id: this.workspaceId, sent_at: Date.now(), events: batch })
       });
 
-      const result = await response.json();
-      console.log('Timer paused:', result);
-      return result;
+      if (response.status === 401 || response.status === 403) {
+        this.requireAuth(response.status);
+        return null;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { results } = await response.json();
+
+      // Only drop what was sent: events queued meanwhile stay for the next flush
+      const sentIds = new Set(batch.map(event => event.event_id));
+      this.queue = this.queue.filter(event => !sentIds.has(event.event_id));
+      this.saveQueue();
+      this.retryAttempt = 0;
+
+      return results;
     } catch (error) {
-      console.error('Failed to pause timer:', error);
+      console.error('Failed to send timer events, will retry:', error);
+      this.scheduleRetry();
       return null;
+    } finally {
+      this.flushing = false;
+      if (this.queue.length > 0 && !this.retryTimeout && !this.authRequired) {
+        this.flushQueue();
+      }
     }
   }
 
-  async resumeTimer(adminId, conversationId) {
+  requireAuth(status) {
+    console.warn(`Timer events rejected (HTTP ${status}); holding ${this.queue.length} until a new token is identified`);
+    this.authRequired = true;
+
+    if (this.onAuthRequired) this.onAuthRequired(status);
+    window.dispatchEvent(new CustomEvent(AUTH_REQUIRED_EVENT, { detail: { status, admin_id: this.adminId } }));
+  }
+
+  scheduleRetry() {
+    if (this.retryTimeout) return;
+
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** this.retryAttempt, RETRY_MAX_DELAY);
+    this.retryAttempt++;
+
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.flushQueue();
+    }, delay * (0.5 + Math.random() / 2));
+  }
+
+  // Last-chance delivery while the page unloads. The queue stays in localStorage
+  // so the next page load re-sends it if the beacon was lost.
+  flushWithBeacon() {
+    if (this.queue.length === 0 || !navigator.sendBeacon) return;
+
+    // text/plain avoids a CORS preflight, which beacons can't make
+    const payload = new Blob(
+      [JSON.stringify({ workspace_id: this.workspaceId, sent_at: Date.now(), events: this.queue })],
+      { type: 'text/plain' }
+    );
+    // Beacons can't set headers either, so the token goes in the query string
+    const query = this.token ? `?access_token=${encodeURIComponent(this.token)}` : '';
+    navigator.sendBeacon(`${this.serverUrl}/api/timer/events${query}`, payload);
+  }
+
+  // Take over the queues left by closed and reloaded pages. If one belongs to a tab that's still
+  // open, both send its events, and the server ignores the duplicates by event_id.
+  loadQueue() {
+    const queue = [];
+    const seen = new Set();
+
     try {
-      const response = await fetch(`${this.serverUrl}/api/timer/resume`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          admin_id: adminId,
-          conversation_id: conversationId
-        })
-      });
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+
+      keys
+        .filter(key => key === QUEUE_STORAGE_KEY || key.startsWith(`${QUEUE_STORAGE_KEY}.`))
+        .forEach(key => {
+          const events = JSON.parse(localStorage.getItem(key)) || [];
+          localStorage.removeItem(key);
+          events.filter(event => !seen.has(event.event_id)).forEach(event => {
+            seen.add(event.event_id);
+            queue.push(event);
+          });
+        });
+    } catch (error) {
+      console.error('Failed to load timer event queue:', error);
+    }
 
-      const result = await response.json();
-      console.log('Timer resumed:', result);
-      return result;
+    return queue.sort((a, b) => a.client_timestamp - b.client_timestamp);
+  }
+
+  saveQueue() {
+    try {
+      if (this.queue.length > 0) {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(this.queueKey);
+      }
     } catch (error) {
-      console.error('Failed to resume timer:', error);
-      return null;
+      console.error('Failed to persist timer event queue:', error);
     }
   }
 
-  async pauseAllTimers() {
-    if (this.currentTimer) {
-      await this.pauseTimer(this.currentTimer.admin_id, this.currentTimer.conversation_id);
-      this.currentTimer = null;
+  generateEventId() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
     }
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
   }
 
-  // Observe conversation changes in Intercom interface
+  // Observe conversation changes in Intercom's single-page app.
+  // pushState/replaceState don't fire events, so wrap them; popstate covers back/forward.
   observeConversationChanges() {
-    // This is a simplified approach - in practice, you'd need to hook into
-    // Intercom's navigation events or observe URL changes
+    this.lastUrl = window.location.href;
 
-    let lastUrl = window.location.href;
-
-    setInterval(() => {
+    this.handleLocationChange = () => {
       const currentUrl = window.location.href;
-      if (currentUrl !== lastUrl) {
-        console.log('URL changed from', lastUrl, 'to', currentUrl);
+      if (currentUrl !== this.lastUrl) {
+        console.log('URL changed from', this.lastUrl, 'to', currentUrl);
+        this.lastUrl = currentUrl;
         this.handleNavigationChange(currentUrl);
-        lastUrl = currentUrl;
       }
-    }, 1000);
+    };
+
+    this.originalPushState = history.pushState;
+    this.originalReplaceState = history.replaceState;
+
+    const tracker = this;
+    history.pushState = function (...args) {
+      const result = tracker.originalPushState.apply(this, args);
+      tracker.handleLocationChange();
+      return result;
+    };
+    history.replaceState = function (...args) {
+      const result = tracker.originalReplaceState.apply(this, args);
+      tracker.handleLocationChange();
+      return result;
+    };
+
+    window.addEventListener('popstate', this.handleLocationChange);
+    window.addEventListener('hashchange', this.handleLocationChange);
+
+    // The page may already be showing a conversation
+    this.handleNavigationChange(this.lastUrl);
+  }
+
+  static extractConversationId(url) {
+    const match = url.match(CONVERSATION_URL_PATTERN);
+    return match ? match[1] : null;
   }
 
   handleNavigationChange(newUrl) {
-    // Extract conversation ID from URL if possible
-    const conversationMatch = newUrl.match(/conversations\/(\d+)/);
+    const conversationId = IntercomTimeTracker.extractConversationId(newUrl);
 
-    if (conversationMatch) {
-      const conversationId = conversationMatch[1];
+    if (conversationId) {
       console.log('Switched to conversation:', conversationId);
 
-      // This would need admin ID - in practice, you'd get this from Intercom's context
-      // For now, we'll use a placeholder
-      const adminId = 'current_admin_id'; // Replace with actual admin ID
+      const adminId = this.resolveAdminId();
+      if (!adminId) {
+        // Wait for identify() rather than tracking time against an unknown admin
+        console.warn('Admin not identified yet; timer will start once it is');
+        this.pauseAllTimers('navigation');
+        this.pendingConversationId = conversationId;
+        return;
+      }
 
       this.startTimer(adminId, conversationId);
     } else {
       // Not viewing a specific conversation
-      this.pauseAllTimers();
+      this.pendingConversationId = null;
+      this.pauseAllTimers('navigation');
     }
   }
 
@@ -191,6 +417,16 @@ class IntercomTimeTracker {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
     }
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+    }
+    if (this.originalPushState) {
+      history.pushState = this.originalPushState;
+      history.replaceState = this.originalReplaceState;
+    }
+    window.removeEventListener('popstate', this.handleLocationChange);
+    window.removeEventListener('hashchange', this.handleLocationChange);
+    window.removeEventListener('message', this.handleMessage);
     this.pauseAllTimers();
   }
 }
@@ -198,13 +434,17 @@ class IntercomTimeTracker {
 // Initialize the tracker when the script loads
 let timeTracker = null;
 
+// Captured while the script runs; document.currentScript is null afterwards
+const trackerScript = typeof document !== 'undefined' ? document.currentScript : null;
+
 // Function to initialize the tracker (call this from your Canvas Kit app)
-function initializeTimeTracker(serverUrl = '/') {
+// options: { adminId, getAdminId, workspaceId, token, onAuthRequired } - see IntercomTimeTracker
+function initializeTimeTracker(serverUrl = '', options = {}) {
   if (timeTracker) {
     timeTracker.destroy();
   }
 
-  timeTracker = new IntercomTimeTracker(serverUrl);
+  timeTracker = new IntercomTimeTracker(serverUrl, options);
 
   // Expose to global scope for Canvas Kit integration
   window.intercomTimeTracker = timeTracker;
@@ -212,15 +452,23 @@ function initializeTimeTracker(serverUrl = '/') {
   return timeTracker;
 }
 
-// Auto-initialize if we're in the right context
+// Auto-initialize if we're in the right context. The script tag can pass configuration:
+//   <script src="https://your-server/timer.js" data-server-url="https://your-server" data-admin-id="123" data-workspace-id="abc123"></script>
 if (typeof window !== 'undefined') {
+  const dataset = (trackerScript && trackerScript.dataset) || {};
+  const autoInitialize = () => {
+    initializeTimeTracker(dataset.serverUrl || '', {
+      adminId: dataset.adminId || null,
+      workspaceId: dataset.workspaceId || null,
+      token: dataset.token || null
+    });
+  };
+
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      initializeTimeTracker();
-    });
+    document.addEventListener('DOMContentLoaded', autoInitialize);
   } else {
-    initializeTimeTracker();
+    autoInitialize();
   }
 }
 
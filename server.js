@@ -1,29 +1,149 @@
 const express = require('express');
 const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
 const cors = require('cors');
+const axios = require('axios');
+const { createStorage } = require('./storage');
+const { createIntercomApi, exchangeOAuthCode } = require('./intercom-api');
+const { ROLES, hashPassword, verifyPassword, signToken, verifyToken } = require('./auth');
+const { EVENT_TYPES, OUTBOUND_REQUEST_OPTIONS, WebhookDispatcher, checkOutboundUrl } = require('./outbound-webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
-app.use(cors());
+// Keep the raw bytes so signatures are checked against exactly what Intercom signed
+app.use(express.json({
+  // navigator.sendBeacon can't always set a JSON content type, so accept text/plain too
+  type: ['application/json', 'text/plain'],
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Only configured origins may call the API from a browser, e.g. https://app.intercom.com for timer.js
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: ALLOWED_ORIGINS }));
 app.use(express.static('public'));
 
 // Configuration
 const INTERCOM_SECRET = process.env.INTERCOM_SECRET || 'your_intercom_secret_here';
 const APP_ID = process.env.INTERCOM_APP_ID || 'your_app_id_here';
+const INTERCOM_CLIENT_SECRET = process.env.INTERCOM_CLIENT_SECRET || 'your_client_secret_here';
+
+// Workspaces: each Intercom workspace (app id) that installs the app through OAuth gets its own
+// access token and data. Requests that don't name a workspace belong to INTERCOM_APP_ID, the workspace
+// configured through the environment, so single-workspace setups keep working unchanged.
+const DEFAULT_WORKSPACE_ID = APP_ID;
+const INTERCOM_CLIENT_ID = process.env.INTERCOM_CLIENT_ID;
+const INTERCOM_OAUTH_URL = process.env.INTERCOM_OAUTH_URL || 'https://app.intercom.com/oauth';
+const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI;
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Authentication (see auth.js): users log in for a signed token, required on every /api request.
+// Without AUTH_TOKEN_SECRET a random one is used, so tokens stop working when the server restarts.
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const AUTH_TOKEN_TTL_MS = parseInt(process.env.AUTH_TOKEN_TTL_MS, 10) || 12 * 60 * 60 * 1000;
+// The admin who installs the app through OAuth gets a user without a password and a one-time setup token to choose one
+const SETUP_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Time categories: every running segment is billable, internal or training time.
+// Sessions start in DEFAULT_CATEGORY; the canvas or a conversation tag named after a category changes it.
+const CATEGORIES = ['billable', 'internal', 'training'];
+const DEFAULT_CATEGORY = CATEGORIES.includes(process.env.DEFAULT_CATEGORY) ? process.env.DEFAULT_CATEGORY : 'billable';
+
+// Hourly rates per admin or team (see /api/rates), in RATE_CURRENCY. DEFAULT_HOURLY_RATE applies when neither is set.
+const RATE_SCOPES = ['admin', 'team'];
+const RATE_CURRENCY = process.env.RATE_CURRENCY || 'USD';
+const DEFAULT_HOURLY_RATE = parseFloat(process.env.DEFAULT_HOURLY_RATE) || 0;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time budgets per team or conversation tag (see /api/budgets). A running timer past a budget's warn or
+// escalate threshold is flagged on the canvas, recorded as a breach and posted to BUDGET_ALERT_WEBHOOK_URL.
+// TIME_BUDGET_WARN_MS / TIME_BUDGET_ESCALATE_MS cover timers that no budget applies to (unset: none).
+const BUDGET_SCOPES = ['team', 'tag'];
+const BUDGET_LEVELS = ['warning', 'escalated'];
+const BUDGET_THRESHOLD_FIELDS = { warning: 'warn_after_ms', escalated: 'escalate_after_ms' };
+const DEFAULT_TIME_BUDGET = {
+  warn_after_ms: parseInt(process.env.TIME_BUDGET_WARN_MS, 10) || null,
+  escalate_after_ms: parseInt(process.env.TIME_BUDGET_ESCALATE_MS, 10) || null
+};
+const BUDGET_ALERT_WEBHOOK_URL = process.env.BUDGET_ALERT_WEBHOOK_URL;
+const BUDGET_SWEEP_INTERVAL_MS = parseInt(process.env.BUDGET_SWEEP_INTERVAL_MS, 10) || 30 * 1000;
+
+// Dev mode skips Canvas Kit signature checks and enables /test-initialize. Never enable in production.
+const CANVAS_DEV_MODE = process.env.CANVAS_DEV_MODE === 'true';
+
+// Idle detection: running timers with no heartbeat for IDLE_TIMEOUT_MS are auto-paused
+const IDLE_TIMEOUT_MS = parseInt(process.env.IDLE_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+const IDLE_SWEEP_INTERVAL_MS = parseInt(process.env.IDLE_SWEEP_INTERVAL_MS, 10) || 30 * 1000;
 
-// In-memory storage (replace with database in production)
-const timers = new Map(); // Key: `${admin_id}_${conversation_id}`, Value: timer data
-const sessions = new Map(); // Key: session_id, Value: session data
-const conversationHistory = new Map(); // Key: `${admin_id}_${conversation_id}`, Value: array of sessions
+// Webhook replay protection: notification ids are remembered for this long,
+// and notifications created before the window are rejected outright.
+// Client event ids (offline queue) are deduplicated over the same window.
+const WEBHOOK_REPLAY_WINDOW_MS = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Queued client events are applied at their client time, but never further back than this,
+// so a client (or a forged request) can't backdate a timer by hours
+const CLIENT_EVENT_MAX_AGE_MS = parseInt(process.env.CLIENT_EVENT_MAX_AGE_MS, 10) || 5 * 60 * 1000;
+
+// Persistent storage for timers, sessions and conversation history (see storage.js)
+const storage = createStorage();
+// Exit through process.exit on Ctrl+C and platform shutdowns, so FileStorage writes its pending changes
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+storage.migrateLegacyRecords(DEFAULT_WORKSPACE_ID);
+bootstrapAdminUser();
+
+// Write-back of tracked time to Intercom when a session is finalised (see intercom-api.js).
+// Uses each workspace's OAuth token; the default workspace falls back to INTERCOM_ACCESS_TOKEN.
+// INTERCOM_WRITEBACK picks "attribute", "note" or both.
+const intercomClients = new Map(); // Key: workspace_id, Value: IntercomApi or null
+const INTERCOM_WRITEBACK = (process.env.INTERCOM_WRITEBACK || 'attribute').split(',').map(mode => mode.trim());
+const INTERCOM_TIME_ATTRIBUTE = process.env.INTERCOM_TIME_ATTRIBUTE || 'time_tracked_seconds';
+
+// Timer state transitions (timer.started / paused / resumed / stopped), streamed to /api/events
+const timerEvents = new EventEmitter();
+timerEvents.setMaxListeners(0);
+
+// Outbound webhooks (see outbound-webhooks.js): timer transitions and finalised sessions are
+// delivered to the workspace's subscribers, managed through /api/webhooks
+const webhookDispatcher = new WebhookDispatcher(storage, {
+  maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  retryBaseDelay: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS, 10) || 5000
+});
+timerEvents.on('transition', event => webhookDispatcher.publish(event.timer.workspace_id, event.type, event.timer, event.at));
 
 // Utility functions
 function generateSessionId() {
   return crypto.randomUUID();
 }
 
+function getTimerKey(workspaceId, adminId, conversationId) {
+  return `${workspaceId}_${adminId}_${conversationId}`;
+}
+
+function getCurrentElapsed(timer) {
+  return timer.total_elapsed + (timer.status === 'running' ? Date.now() - timer.last_update : 0);
+}
+
+function emitTimerEvent(type, timer) {
+  timerEvents.emit('transition', {
+    type,
+    at: Date.now(),
+    timer: {
+      workspace_id: timer.workspace_id,
+      admin_id: timer.admin_id,
+      conversation_id: timer.conversation_id,
+      session_id: timer.session_id,
+      status: timer.status,
+      pause_reason: timer.pause_reason || null,
+      end_reason: timer.end_reason || null,
+      elapsed: getCurrentElapsed(timer),
+      start_time: timer.start_time
+    }
+  });
+}
+
 function formatDuration(milliseconds) {
   const totalSeconds = Math.floor(milliseconds / 1000);
   const hours = Math.floor(totalSeconds / 3600);
@@ -32,124 +152,373 @@ function formatDuration(milliseconds) {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 }
 
-function verifyIntercomSignature(payload, signature) {
-  if (!signature) return false;
-  
-  const expectedSignature = 'sha1=' + crypto
-    .createHmac('sha1', INTERCOM_SECRET)
-    .update(payload, 'utf8')
+// Accepts `sha1=<hex>` or `sha256=<hex>` signatures computed over the raw request body
+function verifyIntercomSignature(payload, signature, secret = INTERCOM_SECRET) {
+  if (!signature || !payload) return false;
+
+  const [algorithm] = signature.split('=');
+  if (algorithm !== 'sha1' && algorithm !== 'sha256') return false;
+
+  const expectedSignature = `${algorithm}=` + crypto
+    .createHmac(algorithm, secret)
+    .update(payload)
     .digest('hex');
-    
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  );
+
+  return safeCompare(signature, expectedSignature);
 }
 
-// Test endpoint to simulate what Intercom should send
-app.get('/test-initialize', (req, res) => {
-  const mockRequest = {
-    context: {
-      location: "conversation",
-      conversation_id: "test_conv_123"
-    },
-    current_admin: {
-      id: "test_admin_456",
-      name: "Test Admin"
+// Canvas Kit requests carry X-Body-Signature: hex HMAC-SHA256 of the raw body with the app's client secret
+function verifyCanvasSignature(payload, signature, secret = INTERCOM_CLIENT_SECRET) {
+  if (!signature || !payload) return false;
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+  return safeCompare(signature, expectedSignature);
+}
+
+function safeCompare(a, b) {
+  const aBuffer = Buffer.from(a);
+  const bBuffer = Buffer.from(b);
+
+  // timingSafeEqual throws on length mismatch, which is just a bad signature
+  if (aBuffer.length !== bBuffer.length) return false;
+
+  return crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+// Workspaces
+
+// Canvas Kit and the timer API name the workspace as workspace_id, webhooks as app_id
+function getWorkspaceId(value) {
+  return value ? String(value) : DEFAULT_WORKSPACE_ID;
+}
+
+function isKnownWorkspace(workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE_ID || Boolean(storage.getWorkspace(workspaceId));
+}
+
+// Secrets for verifying a workspace's requests. A workspace connected through a different
+// Intercom app can store its own; otherwise the app's secrets from the environment apply.
+function getWorkspaceSecrets(workspaceId) {
+  const workspace = storage.getWorkspace(workspaceId) || {};
+  return {
+    webhookSecret: workspace.webhook_secret || INTERCOM_SECRET,
+    clientSecret: workspace.client_secret || INTERCOM_CLIENT_SECRET
+  };
+}
+
+// Middleware for /api routes: scope the request to a workspace (workspace_id in the body or query,
+// defaulting to the signed-in user's). Users only ever see their own workspace.
+function resolveWorkspace(req, res, next) {
+  const workspaceId = getWorkspaceId(req.body?.workspace_id || req.query.workspace_id || req.user.workspace_id);
+
+  if (workspaceId !== req.user.workspace_id) {
+    return res.status(403).json({ error: 'No access to this workspace' });
+  }
+  if (!isKnownWorkspace(workspaceId)) {
+    return res.status(404).json({ error: 'Unknown workspace' });
+  }
+
+  req.workspaceId = workspaceId;
+  next();
+}
+
+// Authentication and roles
+// agent: their own admin's data; lead: everyone on their team; admin: the whole workspace.
+
+// First admin account, so further users can be created through /api/users
+function bootstrapAdminUser() {
+  const username = process.env.AUTH_ADMIN_USERNAME;
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!username || !password || storage.getUser(username)) return;
+
+  storage.saveUser(username, {
+    username,
+    password_hash: hashPassword(password),
+    role: 'admin',
+    admin_id: process.env.AUTH_ADMIN_ID || null,
+    team: null,
+    workspace_id: DEFAULT_WORKSPACE_ID,
+    created_at: Date.now()
+  });
+  console.log('Created admin user:', username);
+}
+
+// User fields that are safe to return
+function toPublicUser(user) {
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+}
+
+// EventSource and navigator.sendBeacon can't set headers, so these routes also take ?access_token=.
+// Nowhere else: tokens in URLs end up in logs, history and Referer headers.
+const QUERY_TOKEN_ROUTES = new Set(['GET /api/events', 'POST /api/timer/events']);
+
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length);
+
+  return QUERY_TOKEN_ROUTES.has(`${req.method} ${req.baseUrl}${req.path}`) ? req.query.access_token : undefined;
+}
+
+// Admin ids a user may see and act for; null means everyone in their workspace
+function getVisibleAdminIds(user) {
+  if (user.role === 'admin') return null;
+
+  const adminIds = new Set(user.admin_id ? [String(user.admin_id)] : []);
+  if (user.role === 'lead' && user.team) {
+    storage.listUsers()
+      .filter(member => member.workspace_id === user.workspace_id && member.team === user.team && member.admin_id)
+      .forEach(member => adminIds.add(String(member.admin_id)));
+  }
+  return adminIds;
+}
+
+function canAccessAdmin(req, adminId) {
+  return req.visibleAdminIds === null || req.visibleAdminIds.has(String(adminId));
+}
+
+// Middleware for /api routes. The stored user is loaded on every request, so role changes apply immediately.
+function requireAuth(req, res, next) {
+  const claims = verifyToken(getRequestToken(req), AUTH_TOKEN_SECRET);
+  const user = claims && !claims.purpose && storage.getUser(claims.sub);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  req.visibleAdminIds = getVisibleAdminIds(user);
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient role' });
     }
+    next();
   };
-  
-  // Simulate the initialize request
-  req.body = mockRequest;
-  
-  // Call the same logic as initialize
-  const { context, current_admin } = req.body;
-  
-  
-  if (!context || context.location !== 'conversation') {
-    console.log('Context check failed:', { context });
-    return res.json({
-      canvas: {
-        content: {
-          components: [
-            {
-              type: "text",
-              text: "Please open a conversation to track time.",
-              style: "muted"
-            },
-            {
-              type: "text",
-              text: `Debug: location=${context?.location || 'null'}, context=${JSON.stringify(context)}`,
-              style: "muted"
-            }
-          ]
-        }
-      }
-    });
+}
+
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const user = username && storage.getUser(username);
+
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.password_hash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
   }
 
-  const conversationId = context.conversation_id;
-  const adminId = current_admin?.id;
-  
-  console.log('Extracted data:', { conversationId, adminId });
-  
-  if (!conversationId || !adminId) {
-    console.log('ID extraction failed:', { conversationId, adminId, current_admin });
-    return res.json({
-      canvas: {
-        content: {
-          components: [
-            {
-              type: "text",
-              text: "Unable to identify conversation or admin.",
-              style: "error"
-            },
-            {
-              type: "text",
-              text: `Debug: convId=${conversationId}, adminId=${adminId}`,
-              style: "muted"
-            }
-          ]
-        }
-      }
-    });
+  const token = signToken({ sub: user.username, role: user.role, workspace_id: user.workspace_id }, AUTH_TOKEN_SECRET, AUTH_TOKEN_TTL_MS);
+  res.json({ token, expires_at: Date.now() + AUTH_TOKEN_TTL_MS, user: toPublicUser(user) });
+});
+
+// Body: token (setup token from the OAuth install), password. Sets the first password and signs the user in.
+app.post('/auth/setup', (req, res) => {
+  const { token, password } = req.body || {};
+  const claims = verifyToken(token, AUTH_TOKEN_SECRET);
+  const user = claims && claims.purpose === 'setup' && storage.getUser(claims.sub);
+
+  // Setup tokens only work until a password is set
+  if (!user || user.password_hash) {
+    return res.status(401).json({ error: 'Invalid or expired setup link' });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'password must be at least 8 characters' });
   }
 
-  // Continue with the rest of the initialize logic...
-  // Start or resume timer
-  const timerKey = `${adminId}_${conversationId}`;
-  let timer = timers.get(timerKey);
-  
+  user.password_hash = hashPassword(password);
+  storage.saveUser(user.username, user);
+
+  const loginToken = signToken({ sub: user.username, role: user.role, workspace_id: user.workspace_id }, AUTH_TOKEN_SECRET, AUTH_TOKEN_TTL_MS);
+  res.json({ token: loginToken, expires_at: Date.now() + AUTH_TOKEN_TTL_MS, user: toPublicUser(user) });
+});
+
+// Middleware for Canvas Kit endpoints: reject requests Intercom didn't sign.
+// The signature is checked with the secret of the workspace the request claims to come from.
+function requireCanvasSignature(req, res, next) {
+  const workspaceId = getWorkspaceId(req.body?.workspace_id);
+
+  if (!isKnownWorkspace(workspaceId)) {
+    console.log('Rejected Canvas Kit request for unknown workspace:', workspaceId);
+    return res.status(401).json({ error: 'Unknown workspace' });
+  }
+
+  req.workspaceId = workspaceId;
+  if (CANVAS_DEV_MODE) return next();
+
+  if (!verifyCanvasSignature(req.rawBody, req.headers['x-body-signature'], getWorkspaceSecrets(workspaceId).clientSecret)) {
+    console.log('Rejected unsigned Canvas Kit request:', req.path);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  next();
+}
+
+// Session lifecycle
+// A session is one admin's tracked work on one conversation in one workspace: running <-> paused -> stopped.
+// `sessions` holds the authoritative record of every session, updated on each transition.
+// `timers` indexes the single active session per admin/conversation, and `conversationHistory`
+// keeps finalized sessions. Once stopped, a session never restarts: the next start for that
+// admin/conversation (e.g. after the conversation is reopened) opens a new session.
+
+// Start a new timer for this admin/conversation, or resume it if paused.
+// `at` lets queued client events apply at the time they happened.
+function startOrResumeTimer(workspaceId, adminId, conversationId, at = Date.now()) {
+  let timer = storage.getTimer(getTimerKey(workspaceId, adminId, conversationId));
+
   if (!timer) {
-    // Create new timer
-    const sessionId = generateSessionId();
-    timer = {
-      admin_id: adminId,
-      conversation_id: conversationId,
-      session_id: sessionId,
-      start_time: Date.now(),
-      total_elapsed: 0,
-      status: 'running',
-      last_update: Date.now()
-    };
-    
-    timers.set(timerKey, timer);
-    sessions.set(sessionId, timer);
-    console.log('Created new timer:', timer);
+    timer = createTimer(workspaceId, adminId, conversationId, { startedAt: at });
+    supersedeOtherTimers(timer, at);
   } else if (timer.status === 'paused') {
-    // Resume timer
-    timer.status = 'running';
-    timer.last_update = Date.now();
+    resumeTimer(timer, at);
     console.log('Resumed timer:', timer);
   }
 
+  return timer;
+}
+
+// Create a new timer, linked to this admin's previous tracked session on the conversation.
+// Passing `pauseReason` creates it paused (e.g. a handoff waiting for the new assignee).
+function createTimer(workspaceId, adminId, conversationId, { pauseReason = null, startedAt = Date.now() } = {}) {
+  const timerKey = getTimerKey(workspaceId, adminId, conversationId);
+  const previousSessions = storage.getHistory(timerKey).filter(s => s.source !== 'manual');
+  const now = startedAt;
+
+  const timer = {
+    workspace_id: workspaceId,
+    admin_id: adminId,
+    conversation_id: conversationId,
+    session_id: generateSessionId(),
+    sequence: previousSessions.length + 1,
+    previous_session_id: previousSessions.length > 0 ? previousSessions[previousSessions.length - 1].session_id : null,
+    start_time: now,
+    total_elapsed: 0,
+    pause_count: 0,
+    status: pauseReason ? 'paused' : 'running',
+    pause_reason: pauseReason,
+    category: DEFAULT_CATEGORY,
+    category_source: 'default',
+    tags: [],
+    budget_level: null,
+    last_update: now,
+    segments: pauseReason ? [] : [{ start: now, end: null, pause_reason: null, category: DEFAULT_CATEGORY }]
+  };
+
+  saveTimer(timer);
+  console.log('Created new timer:', timer);
+  emitTimerEvent('timer.started', timer);
+  return timer;
+}
+
+// An admin can only have one running timer across tabs and devices: pause the rest
+function supersedeOtherTimers(timer, at = Date.now()) {
+  storage.listTimers()
+    .filter(other =>
+      other.status === 'running' &&
+      other.session_id !== timer.session_id &&
+      other.workspace_id === timer.workspace_id &&
+      String(other.admin_id) === String(timer.admin_id))
+    .forEach(other => {
+      other.superseded_by = { conversation_id: timer.conversation_id, session_id: timer.session_id };
+      pauseTimer(other, 'superseded', at);
+      console.log('Superseded timer:', { admin_id: other.admin_id, conversation_id: other.conversation_id });
+    });
+}
+
+// Persist an active timer and its session record together so they never drift apart
+function saveTimer(timer) {
+  storage.saveTimer(getTimerKey(timer.workspace_id, timer.admin_id, timer.conversation_id), timer);
+  storage.saveSession(timer.session_id, timer);
+}
+
+// Placeholder for a conversation with no active timer, rendered with a Start button
+function buildStoppedTimer(workspaceId, adminId, conversationId) {
+  return { workspace_id: workspaceId, admin_id: adminId, conversation_id: conversationId, status: 'stopped', total_elapsed: 0 };
+}
+
+// Canvas Kit buttons for the transitions available from the timer's current status
+function buildTimerButtons(timer) {
+  const button = (id, label, style) => ({
+    type: "button",
+    id,
+    label,
+    style,
+    action: { type: "submit" }
+  });
+
+  if (timer.status === 'running') {
+    return [button('pause_timer', 'Pause', 'secondary'), button('stop_timer', 'Stop', 'link')];
+  }
+  if (timer.status === 'paused') {
+    return [button('resume_timer', 'Resume', 'primary'), button('stop_timer', 'Stop', 'link')];
+  }
+  return [button('start_timer', 'Start New Session', 'primary')];
+}
+
+// Category dropdown and tags input for an active timer, saved with the "Save details" button
+function buildDetailsComponents(timer) {
+  if (timer.status !== 'running' && timer.status !== 'paused') return [];
+
+  return [
+    {
+      type: "dropdown",
+      id: "category",
+      label: "Category",
+      value: timer.category || DEFAULT_CATEGORY,
+      options: CATEGORIES.map(category => ({
+        type: "option",
+        id: category,
+        text: category.charAt(0).toUpperCase() + category.slice(1)
+      }))
+    },
+    {
+      type: "input",
+      id: "tags",
+      label: "Tags",
+      placeholder: "Comma separated",
+      value: (timer.tags || []).join(', ')
+    },
+    {
+      type: "button",
+      id: "save_details",
+      label: "Save details",
+      style: "secondary",
+      action: { type: "submit" }
+    }
+  ];
+}
+
+// Warning shown while an active timer is past one of its time budget thresholds
+function buildBudgetComponents(timer, elapsed) {
+  if (timer.status !== 'running' && timer.status !== 'paused') return [];
+
+  const crossed = getBudgetThresholds(timer).filter(({ threshold }) => elapsed >= threshold);
+  if (crossed.length === 0) return [];
+
+  const { level, threshold } = crossed[crossed.length - 1];
+  return [{
+    type: "text",
+    text: level === 'escalated'
+      ? `🚨 Over time budget: escalated after ${formatDuration(threshold)}`
+      : `⚠️ Time budget warning: over ${formatDuration(threshold)}`,
+    style: level === 'escalated' ? 'error' : 'warning'
+  }];
+}
+
+// Build the sidebar canvas showing timer status and recent sessions
+function buildTimerCanvas(timer) {
+  const { workspace_id: workspaceId, admin_id: adminId, conversation_id: conversationId } = timer;
+
   // Get conversation history
-  const historyKey = `${adminId}_${conversationId}`;
-  const history = conversationHistory.get(historyKey) || [];
+  const history = storage.getHistory(getTimerKey(workspaceId, adminId, conversationId));
   const recentSessions = history.slice(-5);
 
   // Calculate current elapsed time
-  const currentElapsed = timer.total_elapsed + (timer.status === 'running' ? Date.now() - timer.last_update : 0);
+  const currentElapsed = getCurrentElapsed(timer);
 
   // Build Canvas response
   const canvas = {
@@ -165,9 +534,10 @@ app.get('/test-initialize', (req, res) => {
         },
         {
           type: "text",
-          text: `Status: ${timer.status.toUpperCase()}`,
+          text: `Status: ${timer.status.toUpperCase()}${timer.pause_reason === 'idle' ? ' (IDLE)' : ''}`,
           style: timer.status === 'running' ? 'success' : timer.status === 'paused' ? 'warning' : 'muted'
         },
+        ...buildBudgetComponents(timer, currentElapsed),
         {
           type: "text",
           text: `Current Session: ${formatDuration(currentElapsed)}`,
@@ -178,6 +548,13 @@ app.get('/test-initialize', (req, res) => {
           text: `Admin: ${adminId} | Conv: ${conversationId}`,
           style: "muted"
         },
+        ...(storage.isConversationClosed(workspaceId, conversationId) ? [{
+          type: "text",
+          text: "This conversation is closed. Start a new session to keep tracking.",
+          style: "muted"
+        }] : []),
+        ...buildTimerButtons(timer),
+        ...buildDetailsComponents(timer),
         {
           type: "spacer",
           size: "m"
@@ -199,197 +576,2078 @@ app.get('/test-initialize', (req, res) => {
     recentSessions.forEach((session, index) => {
       canvas.content.components.push({
         type: "text",
-        text: `${index + 1}. ${formatDuration(session.final_duration || 0)} - ${new Date(session.start_time).toLocaleDateString()}`,
+        text: `${index + 1}. ${formatDuration(session.final_duration || 0)} - ${new Date(session.start_time).toLocaleDateString()}${session.source === 'manual' ? ' (manual)' : ''}`,
         style: "muted"
       });
     });
   }
 
-  console.log('Sending canvas response:', JSON.stringify(canvas, null, 2));
-  res.json({ canvas });
-});
-
-// Canvas Kit Initialize Endpoint
-app.post('/initialize', (req, res) => {
-  // Add detailed logging to debug the issue
-  console.log('=== Initialize Request Debug ===');
-  console.log('Full request body:', JSON.stringify(req.body, null, 2));
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('================================');
-  
-  const { context, current_admin } = req.body;
-});
+  return canvas;
+}
 
-// Webhook endpoint for conversation updates
-app.post('/webhooks/conversations', (req, res) => {
-  const signature = req.headers['x-hub-signature'];
-  const payload = JSON.stringify(req.body);
+// Pull the admin and conversation out of a Canvas Kit request body.
+// Returns { adminId, conversationId } or { response } with an error canvas.
+function resolveCanvasRequest(body) {
+  const { context, current_admin, conversation } = body || {};
 
-  // Verify signature
-  if (!verifyIntercomSignature(payload, signature)) {
-    return res.status(401).json({ error: 'Invalid signature' });
+  if (!context || context.location !== 'conversation') {
+    console.log('Context check failed:', { context });
+    return {
+      response: {
+        canvas: {
+          content: {
+            components: [
+              {
+                type: "text",
+                text: "Please open a conversation to track time.",
+                style: "muted"
+              },
+              {
+                type: "text",
+                text: `Debug: location=${context?.location || 'null'}, context=${JSON.stringify(context)}`,
+                style: "muted"
+              }
+            ]
+          }
+        }
+      }
+    };
   }
 
-  const { type, data } = req.body;
+  const conversationId = context.conversation_id || conversation?.id;
+  const adminId = current_admin?.id;
+
+  console.log('Extracted data:', { conversationId, adminId });
 
-  if (type === 'conversation.admin.closed') {
-    const conversationId = data.item.id;
-    
-    // Find and stop all timers for this conversation
-    for (const [timerKey, timer] of timers.entries()) {
-      if (timer.conversation_id === conversationId) {
-        stopTimer(timer);
+  if (!conversationId || !adminId) {
+    console.log('ID extraction failed:', { conversationId, adminId, current_admin });
+    return {
+      response: {
+        canvas: {
+          content: {
+            components: [
+              {
+                type: "text",
+                text: "Unable to identify conversation or admin.",
+                style: "error"
+              },
+              {
+                type: "text",
+                text: `Debug: convId=${conversationId}, adminId=${adminId}`,
+                style: "muted"
+              }
+            ]
+          }
+        }
       }
-    }
+    };
   }
 
-  res.status(200).json({ received: true });
-});
+  return { adminId, conversationId };
+}
 
-// API endpoints for timer management
-app.post('/api/timer/pause', (req, res) => {
-  const { admin_id, conversation_id } = req.body;
-  const timerKey = `${admin_id}_${conversation_id}`;
-  const timer = timers.get(timerKey);
+// Shared Canvas Kit initialize logic for /initialize and /test-initialize
+function handleInitialize(body, workspaceId) {
+  const { adminId, conversationId, response } = resolveCanvasRequest(body);
+  if (response) return response;
 
-  if (timer && timer.status === 'running') {
-    timer.total_elapsed += Date.now() - timer.last_update;
-    timer.status = 'paused';
-    timer.last_update = Date.now();
-  }
+  // Start or resume timer, unless the conversation is closed: viewing it shouldn't accrue time
+  const timer = storage.isConversationClosed(workspaceId, conversationId)
+    ? storage.getTimer(getTimerKey(workspaceId, adminId, conversationId)) || buildStoppedTimer(workspaceId, adminId, conversationId)
+    : startOrResumeTimer(workspaceId, adminId, conversationId);
+  const canvas = buildTimerCanvas(timer);
 
-  res.json({ success: true });
-});
+  console.log('Sending canvas response:', JSON.stringify(canvas, null, 2));
+  return { canvas };
+}
 
-app.post('/api/timer/resume', (req, res) => {
-  const { admin_id, conversation_id } = req.body;
-  const timerKey = `${admin_id}_${conversation_id}`;
-  const timer = timers.get(timerKey);
+// Canvas Kit submit logic: apply the clicked button's transition and re-render
+function handleSubmit(body, workspaceId) {
+  const { adminId, conversationId, response } = resolveCanvasRequest(body);
+  if (response) return response;
 
-  if (timer && timer.status === 'paused') {
-    timer.status = 'running';
-    timer.last_update = Date.now();
+  const componentId = body.component_id;
+  const timerKey = getTimerKey(workspaceId, adminId, conversationId);
+  let timer = storage.getTimer(timerKey);
+
+  console.log('Canvas submit:', { componentId, timerKey, status: timer?.status });
+
+  switch (componentId) {
+    case 'pause_timer':
+      if (timer) pauseTimer(timer);
+      break;
+    case 'resume_timer':
+      if (timer) resumeTimer(timer);
+      break;
+    case 'stop_timer':
+      if (timer) stopTimer(timer);
+      break;
+    case 'start_timer':
+      timer = startOrResumeTimer(workspaceId, adminId, conversationId);
+      break;
+    case 'save_details':
+      if (timer) saveTimerDetails(timer, body.input_values || {});
+      break;
+    default:
+      console.log('Unknown component_id:', componentId);
   }
 
-  res.json({ success: true });
-});
+  // Nothing to show yet (e.g. a stale canvas), so render the idle state with a Start button
+  if (!timer) {
+    timer = buildStoppedTimer(workspaceId, adminId, conversationId);
+  }
 
-// Analytics endpoint
-app.get('/api/analytics/:admin_id', (req, res) => {
-  const adminId = req.params.admin_id;
-  const adminSessions = [];
+  return { canvas: buildTimerCanvas(timer) };
+}
 
-  // Collect all sessions for this admin
-  for (const [key, sessionsList] of conversationHistory.entries()) {
-    if (key.startsWith(`${adminId}_`)) {
-      adminSessions.push(...sessionsList);
-    }
+// Category and tags chosen on the canvas. A category picked here wins over one derived from tags.
+function saveTimerDetails(timer, inputValues) {
+  if (inputValues.tags !== undefined) {
+    timer.tags = parseTags(inputValues.tags);
+  }
+  if (CATEGORIES.includes(inputValues.category)) {
+    setTimerCategory(timer, inputValues.category, 'canvas');
+  } else {
+    saveTimer(timer);
   }
+}
 
-  if (adminSessions.length === 0) {
-    return res.json({
-      total_sessions: 0,
-      total_time: 0,
-      average_time: 0,
-      median_time: 0
-    });
+// Test endpoint to simulate what Intercom should send (only in CANVAS_DEV_MODE)
+app.get('/test-initialize', (req, res) => {
+  if (!CANVAS_DEV_MODE) {
+    return res.status(404).json({ error: 'Not found' });
   }
 
-  const durations = adminSessions
-    .filter(s => s.final_duration)
-    .map(s => s.final_duration)
-    .sort((a, b) => a - b);
+  const mockRequest = {
+    context: {
+      location: "conversation",
+      conversation_id: "test_conv_123"
+    },
+    current_admin: {
+      id: "test_admin_456",
+      name: "Test Admin"
+    }
+  };
 
-  const totalTime = durations.reduce((sum, d) => sum + d, 0);
-  const averageTime = totalTime / durations.length;
-  const medianTime = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+  res.json(handleInitialize(mockRequest, DEFAULT_WORKSPACE_ID));
+});
 
-  res.json({
-    total_sessions: durations.length,
-    total_time: totalTime,
-    average_time: averageTime,
-    median_time: medianTime,
-    formatted: {
-      total_time: formatDuration(totalTime),
-      average_time: formatDuration(averageTime),
-      median_time: formatDuration(medianTime)
-    }
-  });
+// Canvas Kit Initialize Endpoint
+app.post('/initialize', requireCanvasSignature, (req, res) => {
+  console.log('=== Initialize Request ===');
+  console.log('Full request body:', JSON.stringify(req.body, null, 2));
+  console.log('==========================');
+
+  res.json(handleInitialize(req.body, req.workspaceId));
 });
 
-// Helper function to stop timer
-function stopTimer(timer) {
-  if (timer.status === 'running') {
-    timer.total_elapsed += Date.now() - timer.last_update;
-  }
-  
-  timer.status = 'stopped';
-  timer.final_duration = timer.total_elapsed;
-  timer.end_time = Date.now();
+// Canvas Kit Submit Endpoint (button clicks in the sidebar)
+app.post('/submit', requireCanvasSignature, (req, res) => {
+  res.json(handleSubmit(req.body, req.workspaceId));
+});
 
-  // Store in history
-  const historyKey = `${timer.admin_id}_${timer.conversation_id}`;
-  const history = conversationHistory.get(historyKey) || [];
-  history.push({ ...timer });
-  conversationHistory.set(historyKey, history);
+// OAuth installation
+// /oauth/install sends the installing admin to Intercom; Intercom redirects back to
+// /oauth/callback with a code, which is exchanged for that workspace's access token.
 
-  // Remove from active timers
-  const timerKey = `${timer.admin_id}_${timer.conversation_id}`;
-  timers.delete(timerKey);
+// The state parameter is a timestamp signed with the client secret, so no server-side session is needed
+function createOAuthState() {
+  const payload = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  const signature = crypto.createHmac('sha256', INTERCOM_CLIENT_SECRET).update(payload).digest('hex');
+  return `${payload}.${signature}`;
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    active_timers: timers.size,
-    total_sessions: sessions.size
-  });
-});
+function verifyOAuthState(state) {
+  const [timestamp, nonce, signature] = String(state || '').split('.');
+  if (!timestamp || !nonce || !signature) return false;
 
-// Dashboard route (simple HTML interface)
-app.get('/dashboard', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>Time Tracker Dashboard</title>
-        <style>
-            body { font-family: Arial, sans-serif; margin: 20px; }
-            .timer { border: 1px solid #ddd; padding: 15px; margin: 10px 0; border-radius: 5px; }
-            .running { border-color: #4CAF50; background-color: #f0f8f0; }
-            .paused { border-color: #ff9800; background-color: #fff8e1; }
-            .stopped { border-color: #9e9e9e; background-color: #f5f5f5; }
-        </style>
-    </head>
-    <body>
-        <h1>Time Tracker Dashboard</h1>
-        <p>Active Timers: ${timers.size}</p>
-        <p>Total Sessions: ${sessions.size}</p>
-        
-        <h2>Active Timers</h2>
-        ${Array.from(timers.entries()).map(([key, timer]) => {
-          const currentElapsed = timer.total_elapsed + (timer.status === 'running' ? Date.now() - timer.last_update : 0);
-          return `
-            <div class="timer ${timer.status}">
-              <strong>Admin ID:</strong> ${timer.admin_id}<br>
-              <strong>Conversation ID:</strong> ${timer.conversation_id}<br>
-              <strong>Status:</strong> ${timer.status}<br>
-              <strong>Elapsed:</strong> ${formatDuration(currentElapsed)}<br>
-              <strong>Started:</strong> ${new Date(timer.start_time).toLocaleString()}
-            </div>
-          `;
-        }).join('')}
-    </body>
-    </html>
-  `);
+  const expectedSignature = crypto.createHmac('sha256', INTERCOM_CLIENT_SECRET).update(`${timestamp}.${nonce}`).digest('hex');
+  return safeCompare(signature, expectedSignature) && Date.now() - Number(timestamp) <= OAUTH_STATE_MAX_AGE_MS;
+}
+
+app.get('/oauth/install', (req, res) => {
+  if (!INTERCOM_CLIENT_ID) {
+    return res.status(404).json({ error: 'OAuth is not configured' });
+  }
+
+  const params = new URLSearchParams({ client_id: INTERCOM_CLIENT_ID, state: createOAuthState() });
+  if (OAUTH_REDIRECT_URI) params.set('redirect_uri', OAUTH_REDIRECT_URI);
+
+  res.redirect(`${INTERCOM_OAUTH_URL}?${params}`);
 });
 
-app.listen(PORT, () => {
-  console.log(`Time Tracker server running on port ${PORT}`);
-  console.log(`Dashboard available at: http://localhost:${PORT}/dashboard`);
+// The admin account for whoever installed the app into a workspace, created on first install.
+// Named after their email; prefixed with the workspace if that name is taken elsewhere.
+function ensureInstallingAdminUser(workspaceId, me) {
+  if (!me.id) return null;
+
+  const existing = storage.listUsers().find(user =>
+    user.workspace_id === workspaceId && String(user.admin_id) === String(me.id));
+  if (existing) return existing;
+
+  const name = me.email || `admin-${me.id}`;
+  const username = storage.getUser(name) ? `${workspaceId}/${name}` : name;
+  if (storage.getUser(username)) return null;
+
+  const user = {
+    username,
+    password_hash: null,
+    role: 'admin',
+    admin_id: String(me.id),
+    team: null,
+    workspace_id: workspaceId,
+    created_at: Date.now()
+  };
+  storage.saveUser(username, user);
+  console.log('Created admin user for workspace:', { workspaceId, username });
+  return user;
+}
+
+app.get('/oauth/callback', async (req, res) => {
+  const { code, state } = req.query;
+
+  if (!INTERCOM_CLIENT_ID) {
+    return res.status(404).json({ error: 'OAuth is not configured' });
+  }
+  if (!verifyOAuthState(state)) {
+    return res.status(400).json({ error: 'Invalid or expired state' });
+  }
+  if (!code) {
+    return res.status(400).json({ error: 'Missing authorization code' });
+  }
+
+  try {
+    const accessToken = await exchangeOAuthCode(code, { clientId: INTERCOM_CLIENT_ID, clientSecret: INTERCOM_CLIENT_SECRET });
+    if (!accessToken) {
+      return res.status(502).json({ error: 'Intercom did not return an access token' });
+    }
+
+    const me = await createIntercomApi({ accessToken }).getMe();
+    const workspaceId = me.app?.id_code;
+    if (!workspaceId) {
+      return res.status(502).json({ error: 'Intercom did not return a workspace' });
+    }
+
+    // Reinstalling replaces the token but keeps any stored secrets
+    const existing = storage.getWorkspace(workspaceId) || {};
+    storage.saveWorkspace(workspaceId, {
+      ...existing,
+      workspace_id: workspaceId,
+      name: me.app.name || null,
+      access_token: accessToken,
+      installed_by: me.id ? String(me.id) : null,
+      installed_at: Date.now()
+    });
+    intercomClients.delete(workspaceId);
+
+    console.log('Installed for workspace:', { workspaceId, name: me.app.name });
+
+    // Send the installing admin to the dashboard to choose a password, unless they already have one
+    const user = ensureInstallingAdminUser(workspaceId, me);
+    if (user && !user.password_hash) {
+      const setupToken = signToken({ sub: user.username, purpose: 'setup' }, AUTH_TOKEN_SECRET, SETUP_TOKEN_TTL_MS);
+      return res.redirect(`/dashboard#setup=${encodeURIComponent(setupToken)}`);
+    }
+    res.json({ installed: true, workspace_id: workspaceId, name: me.app.name || null });
+  } catch (error) {
+    const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+    console.error('OAuth installation failed:', detail);
+    res.status(502).json({ error: 'OAuth installation failed' });
+  }
+});
+
+// Webhook handlers, keyed by Intercom topic. Each receives the conversation (data.item) and the workspace id.
+const webhookHandlers = {
+  'conversation.admin.closed': handleConversationClosed,
+  'conversation.admin.assigned': handleConversationAssigned,
+  'conversation.admin.unassigned': handleConversationUnassigned,
+  'conversation.admin.snoozed': handleConversationSnoozed,
+  'conversation.admin.opened': handleConversationReopened,
+  'conversation_part.tag.created': handleConversationTagged
+};
+
+// Stop every timer on the conversation and block new sessions until it is reopened
+function handleConversationClosed(conversation, workspaceId) {
+  for (const timer of getConversationTimers(workspaceId, conversation.id)) {
+    stopTimer(timer, 'closed');
+  }
+  storage.markConversationClosed(workspaceId, conversation.id);
+}
+
+// Hand tracking off to the new assignee: stop everyone else's timer and
+// leave a paused timer for the new admin to resume when they open the conversation
+function handleConversationAssigned(conversation, workspaceId) {
+  const assigneeId = conversation.admin_assignee_id ? String(conversation.admin_assignee_id) : null;
+  const stopped = stopConversationTimersExcept(workspaceId, conversation.id, assigneeId, 'reassigned');
+
+  if (!assigneeId) return;
+
+  const timerKey = getTimerKey(workspaceId, assigneeId, conversation.id);
+  if (!storage.getTimer(timerKey) && !storage.isConversationClosed(workspaceId, conversation.id)) {
+    const timer = createTimer(workspaceId, assigneeId, String(conversation.id), { pauseReason: 'handoff' });
+    timer.handed_off_from = stopped.map(t => t.admin_id);
+    saveTimer(timer);
+  }
+}
+
+// Stop the timers of admins who are no longer assigned
+function handleConversationUnassigned(conversation, workspaceId) {
+  const assigneeId = conversation.admin_assignee_id ? String(conversation.admin_assignee_id) : null;
+  stopConversationTimersExcept(workspaceId, conversation.id, assigneeId, 'unassigned');
+}
+
+function handleConversationSnoozed(conversation, workspaceId) {
+  for (const timer of getConversationTimers(workspaceId, conversation.id)) {
+    pauseTimer(timer, 'snoozed');
+  }
+}
+
+// A reopened conversation can start a new session again
+function handleConversationReopened(conversation, workspaceId) {
+  storage.markConversationReopened(workspaceId, conversation.id);
+}
+
+// Tags are synced for every handled webhook, so there's nothing more to do here
+function handleConversationTagged() {}
+
+// Add the conversation's Intercom tags to its active timers. A tag named after a category
+// (e.g. "internal") switches to that category unless one was picked on the canvas.
+function syncConversationTags(workspaceId, conversation) {
+  const names = parseTags((conversation.tags?.tags || []).map(tag => tag.name));
+  if (names.length === 0) return;
+
+  const tagCategory = CATEGORIES.find(category => names.some(name => name.toLowerCase() === category));
+
+  for (const timer of getConversationTimers(workspaceId, conversation.id)) {
+    timer.tags = parseTags([...(timer.tags || []), ...names]);
+    if (tagCategory && timer.category_source !== 'canvas') {
+      setTimerCategory(timer, tagCategory, 'tag');
+    } else {
+      saveTimer(timer);
+    }
+  }
+}
+
+function getConversationTimers(workspaceId, conversationId) {
+  return storage.listTimers().filter(timer =>
+    timer.workspace_id === workspaceId && String(timer.conversation_id) === String(conversationId));
+}
+
+function stopConversationTimersExcept(workspaceId, conversationId, adminId, reason) {
+  const stopped = getConversationTimers(workspaceId, conversationId).filter(timer => String(timer.admin_id) !== adminId);
+  stopped.forEach(timer => {
+    if (adminId) timer.handed_off_to = adminId;
+    stopTimer(timer, reason);
+  });
+  return stopped;
+}
+
+// Webhook endpoint for conversation updates
+app.post('/webhooks/conversations', (req, res) => {
+  const signature = req.headers['x-hub-signature-256'] || req.headers['x-hub-signature'];
+  const workspaceId = getWorkspaceId(req.body?.app_id);
+
+  // Verify signature with the sending workspace's secret
+  if (!isKnownWorkspace(workspaceId) ||
+      !verifyIntercomSignature(req.rawBody, signature, getWorkspaceSecrets(workspaceId).webhookSecret)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  // Reject replays: stale notifications and ids we've already processed
+  const notificationId = req.body.id;
+  const createdAt = req.body.created_at;
+
+  if (createdAt && Date.now() - createdAt * 1000 > WEBHOOK_REPLAY_WINDOW_MS) {
+    console.log('Rejecting stale webhook:', { notificationId, createdAt });
+    return res.status(400).json({ error: 'Stale notification' });
+  }
+
+  if (notificationId && storage.hasNotification(notificationId)) {
+    console.log('Ignoring duplicate webhook:', notificationId);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  // Intercom sends the event name as `topic`; older test payloads use `type`
+  const topic = req.body.topic || req.body.type;
+  const conversation = req.body.data?.item;
+  const handler = webhookHandlers[topic];
+
+  if (!handler) {
+    console.log('Ignoring webhook topic:', topic);
+  } else if (!conversation?.id) {
+    console.log('Webhook missing conversation:', { topic });
+  } else {
+    console.log('Handling webhook:', { topic, workspaceId, conversationId: conversation.id });
+    // Sync tags before the handler so sessions it stops keep them, and after so timers it creates get them
+    syncConversationTags(workspaceId, conversation);
+    handler(conversation, workspaceId);
+    syncConversationTags(workspaceId, conversation);
+  }
+
+  // Only once handled: if the handler threw, Intercom's retry of this notification must still be processed
+  if (notificationId) {
+    storage.recordNotification(notificationId, Date.now() - WEBHOOK_REPLAY_WINDOW_MS);
+  }
+
+  res.status(200).json({ received: true });
+});
+
+// Everything under /api needs a signed-in user and is scoped to their workspace
+app.use('/api', requireAuth, resolveWorkspace);
+
+// User management (admins only)
+function validateUserFields(body) {
+  const { role, password } = body;
+  if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+  if (password !== undefined && (typeof password !== 'string' || password.length < 8)) return 'password must be at least 8 characters';
+  for (const field of ['admin_id', 'team']) {
+    const value = body[field];
+    if (value !== undefined && value !== null && !['string', 'number'].includes(typeof value)) {
+      return `${field} must be a string, a number or null`;
+    }
+  }
+  return null;
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  const users = storage.listUsers()
+    .filter(user => user.workspace_id === req.workspaceId)
+    .map(toPublicUser);
+  res.json({ users });
+});
+
+// Body: username, password, role (agent|lead|admin), admin_id (Intercom admin), team
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const { username, password, role, admin_id, team } = req.body;
+
+  if (!username || !password || !role) {
+    return res.status(400).json({ error: 'username, password and role are required' });
+  }
+  if (typeof username !== 'string' || !username.trim()) {
+    return res.status(400).json({ error: 'username must be a non-empty string' });
+  }
+  const error = validateUserFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (storage.getUser(username)) {
+    return res.status(409).json({ error: 'User already exists' });
+  }
+
+  const user = {
+    username,
+    password_hash: hashPassword(password),
+    role,
+    admin_id: admin_id ? String(admin_id) : null,
+    team: team ? String(team) : null,
+    workspace_id: req.workspaceId,
+    created_at: Date.now()
+  };
+  storage.saveUser(user.username, user);
+
+  res.status(201).json(toPublicUser(user));
+});
+
+// Change a user's password, role, admin_id or team
+app.patch('/api/users/:username', requireRole('admin'), (req, res) => {
+  const user = storage.getUser(req.params.username);
+  if (!user || user.workspace_id !== req.workspaceId) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const error = validateUserFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { password, role, admin_id, team } = req.body;
+  const updated = {
+    ...user,
+    ...(password !== undefined && { password_hash: hashPassword(password) }),
+    ...(role !== undefined && { role }),
+    ...(admin_id !== undefined && { admin_id: admin_id ? String(admin_id) : null }),
+    ...(team !== undefined && { team: team ? String(team) : null })
+  };
+  storage.saveUser(updated.username, updated);
+
+  res.json(toPublicUser(updated));
+});
+
+// Workspace settings (admins only)
+// Secrets for a workspace connected through a different Intercom app than the environment's (see getWorkspaceSecrets).
+// They're never returned, only whether they're set.
+const WORKSPACE_SECRETS = ['client_secret', 'webhook_secret'];
+
+function toPublicWorkspace(workspaceId) {
+  const workspace = storage.getWorkspace(workspaceId) || {};
+  return {
+    workspace_id: workspaceId,
+    name: workspace.name || null,
+    installed_by: workspace.installed_by || null,
+    installed_at: workspace.installed_at || null,
+    has_access_token: Boolean(workspace.access_token),
+    budget_alert_url: workspace.budget_alert_url || null,
+    ...Object.fromEntries(WORKSPACE_SECRETS.map(field => [`has_${field}`, Boolean(workspace[field])]))
+  };
+}
+
+app.get('/api/workspace', requireRole('admin'), (req, res) => {
+  res.json(toPublicWorkspace(req.workspaceId));
+});
+
+// Body: client_secret, webhook_secret, budget_alert_url (null goes back to the environment's setting)
+app.patch('/api/workspace', requireRole('admin'), async (req, res) => {
+  const changes = {};
+
+  for (const field of WORKSPACE_SECRETS) {
+    const value = req.body[field];
+    if (value === undefined) continue;
+    if (value !== null && (typeof value !== 'string' || value === '')) {
+      return res.status(400).json({ error: `${field} must be a non-empty string or null` });
+    }
+    changes[field] = value;
+  }
+  if (req.body.budget_alert_url !== undefined) {
+    if (req.body.budget_alert_url !== null) {
+      const urlError = await checkOutboundUrl(req.body.budget_alert_url);
+      if (urlError) return res.status(400).json({ error: `budget_alert_url: ${urlError}` });
+    }
+    changes.budget_alert_url = req.body.budget_alert_url;
+  }
+
+  const workspace = storage.getWorkspace(req.workspaceId) || { workspace_id: req.workspaceId };
+  storage.saveWorkspace(req.workspaceId, { ...workspace, ...changes });
+
+  res.json(toPublicWorkspace(req.workspaceId));
+});
+
+// API endpoints for timer management
+app.post('/api/timer/start', (req, res) => {
+  const { admin_id, conversation_id } = req.body;
+
+  if (!admin_id || !conversation_id) {
+    return res.status(400).json({ success: false, error: 'admin_id and conversation_id are required' });
+  }
+  if (!canAccessAdmin(req, admin_id)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for this admin' });
+  }
+
+  if (storage.isConversationClosed(req.workspaceId, conversation_id)) {
+    return res.status(409).json({ success: false, error: 'Conversation is closed' });
+  }
+
+  const timer = startOrResumeTimer(req.workspaceId, admin_id, conversation_id);
+
+  // Starting counts as a sign of life from the client
+  recordHeartbeat(timer, true);
+
+  res.json({ success: true, session_id: timer.session_id, status: timer.status });
+});
+
+app.post('/api/timer/heartbeat', (req, res) => {
+  const { admin_id, conversation_id, visible } = req.body;
+  if (!canAccessAdmin(req, admin_id)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for this admin' });
+  }
+  const timer = storage.getTimer(getTimerKey(req.workspaceId, admin_id, conversation_id));
+
+  if (!timer) {
+    return res.status(404).json({ success: false, error: 'Timer not found' });
+  }
+
+  recordHeartbeat(timer, visible !== false);
+
+  // The client is back after the idle sweeper (e.g. the network dropped) or a server restart paused it:
+  // track again from now, unless the admin has moved on to another conversation meanwhile.
+  // Then this tab is stale and is told so.
+  if (timer.status === 'paused' && ['idle', 'restart'].includes(timer.pause_reason) && visible !== false) {
+    const active = storage.listTimers().find(other =>
+      other.status === 'running' &&
+      other.workspace_id === timer.workspace_id &&
+      String(other.admin_id) === String(timer.admin_id));
+
+    if (!active) {
+      const reason = timer.pause_reason;
+      resumeTimer(timer);
+      console.log(`Resumed ${reason} timer on heartbeat:`, timer);
+      return res.json({ success: true, status: timer.status, superseded: false, resumed: true });
+    }
+
+    timer.pause_reason = 'superseded';
+    timer.superseded_by = { conversation_id: active.conversation_id, session_id: active.session_id };
+    saveTimer(timer);
+  }
+
+  // Tell this client if another tab or device took over, so it stops treating the timer as its own
+  if (timer.status === 'paused' && timer.pause_reason === 'superseded') {
+    return res.json({
+      success: true,
+      status: timer.status,
+      superseded: true,
+      active_conversation_id: timer.superseded_by?.conversation_id || null
+    });
+  }
+
+  res.json({ success: true, status: timer.status, superseded: false });
+});
+
+app.post('/api/timer/pause', (req, res) => {
+  const { admin_id, conversation_id, reason } = req.body;
+  if (!canAccessAdmin(req, admin_id)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for this admin' });
+  }
+  const timer = storage.getTimer(getTimerKey(req.workspaceId, admin_id, conversation_id));
+
+  // reason: manual, navigation or tab_close (idle/snoozed/handoff are set by the server)
+  if (timer) {
+    pauseTimer(timer, reason || 'manual');
+  }
+
+  res.json({ success: true });
+});
+
+app.post('/api/timer/resume', (req, res) => {
+  const { admin_id, conversation_id } = req.body;
+  if (!canAccessAdmin(req, admin_id)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for this admin' });
+  }
+  const timer = storage.getTimer(getTimerKey(req.workspaceId, admin_id, conversation_id));
+
+  if (timer) {
+    resumeTimer(timer);
+  }
+
+  res.json({ success: true });
+});
+
+// Queued client events (timer.js offline queue and sendBeacon on unload)
+// Body: { workspace_id, sent_at, events: [{ event_id, type: start|pause|resume, admin_id, conversation_id, client_timestamp, reason }] }
+// Events are applied in client-timestamp order; event ids already seen are skipped.
+app.post('/api/timer/events', (req, res) => {
+  const { events, sent_at } = req.body;
+
+  if (!Array.isArray(events)) {
+    return res.status(400).json({ success: false, error: 'events must be an array' });
+  }
+
+  // Correct for the client's clock: its sent_at corresponds to our now
+  const now = Date.now();
+  const clockOffset = Number.isFinite(sent_at) ? now - sent_at : 0;
+
+  const isEventObject = event => event !== null && typeof event === 'object' && !Array.isArray(event);
+  const timestampOf = event => (isEventObject(event) && Number.isFinite(event.client_timestamp) ? event.client_timestamp : 0);
+
+  // Taken before any event is applied, since applying them updates the timers
+  const lastSeen = new Map();
+  events.forEach(event => {
+    if (isEventObject(event) && event.admin_id !== undefined && !lastSeen.has(String(event.admin_id))) {
+      lastSeen.set(String(event.admin_id), getAdminLastSeen(req.workspaceId, event.admin_id));
+    }
+  });
+
+  const results = [...events]
+    .sort((a, b) => timestampOf(a) - timestampOf(b))
+    .map(event => {
+      if (!isEventObject(event)) {
+        return { event_id: null, status: 'rejected', error: 'Each event must be an object' };
+      }
+      if (typeof event.event_id !== 'string' || !event.event_id || !event.admin_id || !event.conversation_id) {
+        return {
+          event_id: typeof event.event_id === 'string' ? event.event_id : null,
+          status: 'rejected',
+          error: 'event_id (a string), admin_id and conversation_id are required'
+        };
+      }
+      if (!canAccessAdmin(req, event.admin_id)) {
+        return { event_id: event.event_id, status: 'rejected', error: 'Not allowed for this admin' };
+      }
+      if (storage.hasClientEvent(event.event_id)) {
+        return { event_id: event.event_id, status: 'duplicate' };
+      }
+
+      const clientAt = Number.isFinite(event.client_timestamp) ? Math.min(event.client_timestamp + clockOffset, now) : now;
+      let at = Math.max(clientAt, now - CLIENT_EVENT_MAX_AGE_MS);
+      // A start can't predate anything the server last heard from this admin
+      if (event.type === 'start') at = Math.max(at, lastSeen.get(String(event.admin_id)));
+      const result = applyClientEvent(req.workspaceId, event, at);
+      storage.recordClientEvent(event.event_id, now - WEBHOOK_REPLAY_WINDOW_MS);
+      return { event_id: event.event_id, ...result };
+    });
+
+  res.json({ success: true, results });
+});
+
+// Latest heartbeat or transition on any of the admin's timers, or 0 if they have none
+function getAdminLastSeen(workspaceId, adminId) {
+  return storage.listTimers()
+    .filter(timer => timer.workspace_id === workspaceId && String(timer.admin_id) === String(adminId))
+    .reduce((latest, timer) => Math.max(latest, timer.last_update, timer.last_heartbeat || 0), 0);
+}
+
+function applyClientEvent(workspaceId, event, at) {
+  const timer = storage.getTimer(getTimerKey(workspaceId, event.admin_id, event.conversation_id));
+
+  switch (event.type) {
+    case 'start':
+      if (storage.isConversationClosed(workspaceId, event.conversation_id)) {
+        return { status: 'rejected', error: 'Conversation is closed' };
+      }
+      recordHeartbeat(startOrResumeTimer(workspaceId, event.admin_id, event.conversation_id, at), true);
+      return { status: 'applied' };
+    case 'pause':
+      if (!timer) return { status: 'ignored', error: 'Timer not found' };
+      pauseTimer(timer, event.reason || 'manual', at);
+      return { status: 'applied' };
+    case 'resume':
+      if (!timer) return { status: 'ignored', error: 'Timer not found' };
+      resumeTimer(timer, at);
+      return { status: 'applied' };
+    default:
+      return { status: 'rejected', error: `Unknown event type: ${event.type}` };
+  }
+}
+
+// Sessions and history records from other workspaces, or of admins the user can't see, are treated as missing
+function isVisibleRecord(req, record) {
+  return record.workspace_id === req.workspaceId && canAccessAdmin(req, record.admin_id);
+}
+
+function getVisibleSession(req, sessionId) {
+  const session = storage.getSession(sessionId);
+  return session && isVisibleRecord(req, session) ? session : undefined;
+}
+
+function findVisibleHistory(req, sessionId) {
+  const found = storage.findHistory(sessionId);
+  return found && isVisibleRecord(req, found.record) ? found : undefined;
+}
+
+// Authoritative state of a session, active or finished
+app.get('/api/sessions/:session_id', (req, res) => {
+  const session = getVisibleSession(req, req.params.session_id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json({
+    ...session,
+    active: session.status !== 'stopped',
+    elapsed: session.status === 'stopped' ? session.final_duration : getCurrentElapsed(session)
+  });
+});
+
+// Session timeline: each running segment and the pauses between them
+app.get('/api/sessions/:session_id/timeline', (req, res) => {
+  const sessionId = req.params.session_id;
+  const session = getVisibleSession(req, sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const now = Date.now();
+  const segments = (session.segments || []).map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    duration: (segment.end ?? now) - segment.start,
+    pause_reason: segment.pause_reason,
+    category: segment.category || session.category || DEFAULT_CATEGORY
+  }));
+
+  // A category change splits a segment without pausing, so it isn't listed as a pause
+  const pauses = [];
+  for (let i = 1; i < segments.length; i++) {
+    if (segments[i - 1].pause_reason === 'category_change') continue;
+    pauses.push({
+      start: segments[i - 1].end,
+      end: segments[i].start,
+      duration: segments[i].start - segments[i - 1].end,
+      reason: segments[i - 1].pause_reason
+    });
+  }
+
+  res.json({
+    session_id: session.session_id,
+    admin_id: session.admin_id,
+    conversation_id: session.conversation_id,
+    source: session.source || 'tracker',
+    status: session.status,
+    start_time: session.start_time,
+    end_time: session.end_time || null,
+    elapsed: session.status === 'stopped' ? session.final_duration : getCurrentElapsed(session),
+    corrected: Boolean(session.corrected_at),
+    category: session.category || DEFAULT_CATEGORY,
+    tags: session.tags || [],
+    segments,
+    pauses
+  });
+});
+
+// Manual time entries and corrections
+// Entries live in conversation history alongside tracked sessions, so analytics,
+// exports and the canvas pick them up. Every change is written to the audit log,
+// with the signed-in user as the actor.
+
+function validateEntryChange(body, { requireDuration }) {
+  const { duration, start_time, reason, category } = body;
+
+  if (typeof reason !== 'string' || !reason.trim()) return 'reason is required';
+  if (requireDuration || duration !== undefined) {
+    if (!Number.isInteger(duration) || duration <= 0) return 'duration must be a positive number of milliseconds';
+  }
+  if (start_time !== undefined && parseDateParam(String(start_time)) == null) {
+    return 'start_time must be an ISO date or epoch milliseconds';
+  }
+  if (category !== undefined && !CATEGORIES.includes(category)) {
+    return `category must be one of: ${CATEGORIES.join(', ')}`;
+  }
+  return null;
+}
+
+// Agents may log and correct their own manual entries, but what the tracker recorded is only changed by leads and admins
+function canChangeEntry(user, record) {
+  return record.source === 'manual' || ['lead', 'admin'].includes(user.role);
+}
+
+function recordAudit(action, { actorId, reason, before, after }) {
+  const record = after || before;
+  return storage.appendAudit({
+    audit_id: crypto.randomUUID(),
+    action,
+    actor_id: actorId,
+    reason,
+    at: Date.now(),
+    workspace_id: record.workspace_id,
+    admin_id: record.admin_id,
+    conversation_id: record.conversation_id,
+    session_id: record.session_id,
+    before: before || null,
+    after: after || null
+  });
+}
+
+// Add time worked outside the Intercom tab (phone calls, internal tools)
+app.post('/api/time-entries', (req, res) => {
+  const { admin_id, conversation_id, duration, start_time, reason, category = DEFAULT_CATEGORY, tags } = req.body;
+
+  if (!admin_id || !conversation_id) {
+    return res.status(400).json({ error: 'admin_id and conversation_id are required' });
+  }
+  if (!canAccessAdmin(req, admin_id)) {
+    return res.status(403).json({ error: 'Not allowed for this admin' });
+  }
+  const error = validateEntryChange(req.body, { requireDuration: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const startTime = start_time !== undefined ? parseDateParam(String(start_time)) : Date.now() - duration;
+  const entry = {
+    workspace_id: req.workspaceId,
+    admin_id,
+    conversation_id,
+    session_id: generateSessionId(),
+    source: 'manual',
+    start_time: startTime,
+    end_time: startTime + duration,
+    total_elapsed: duration,
+    final_duration: duration,
+    pause_count: 0,
+    segments: [{ start: startTime, end: startTime + duration, pause_reason: 'manual_entry', category }],
+    category,
+    tags: parseTags(tags),
+    status: 'stopped',
+    end_reason: 'manual_entry',
+    reason: reason.trim(),
+    created_by: req.user.username
+  };
+
+  storage.appendHistory(getTimerKey(req.workspaceId, admin_id, conversation_id), entry);
+  storage.saveSession(entry.session_id, { ...entry });
+  recordAudit('create', { actorId: req.user.username, reason: entry.reason, after: { ...entry } });
+
+  res.status(201).json(entry);
+});
+
+// Correct the duration, start time, category or tags of a manual entry or a tracked session
+app.patch('/api/time-entries/:session_id', (req, res) => {
+  const found = findVisibleHistory(req, req.params.session_id);
+  if (!found) {
+    return res.status(404).json({ error: 'Time entry not found' });
+  }
+  if (!canChangeEntry(req.user, found.record)) {
+    return res.status(403).json({ error: 'Only leads and admins can change tracked sessions' });
+  }
+
+  const error = validateEntryChange(req.body, { requireDuration: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { duration, start_time, reason, category, tags } = req.body;
+  const before = { ...found.record };
+  const finalDuration = duration !== undefined ? duration : before.final_duration;
+  const startTime = start_time !== undefined ? parseDateParam(String(start_time)) : before.start_time;
+  const finalCategory = category || before.category || DEFAULT_CATEGORY;
+
+  const changes = {
+    start_time: startTime,
+    end_time: startTime + finalDuration,
+    total_elapsed: finalDuration,
+    final_duration: finalDuration,
+    category: finalCategory,
+    tags: tags !== undefined ? parseTags(tags) : before.tags || [],
+    corrected_by: req.user.username,
+    corrected_at: Date.now()
+  };
+
+  // A manual entry is a single segment, so it moves with the entry. Tracked segments keep their
+  // times as recorded (the timeline flags the session as corrected), but a new category applies to all of them.
+  if (before.source === 'manual') {
+    changes.segments = [{ start: startTime, end: startTime + finalDuration, pause_reason: 'manual_entry', category: finalCategory }];
+  } else if (category) {
+    changes.segments = (before.segments || []).map(segment => ({ ...segment, category }));
+  }
+
+  const updated = storage.updateHistory(found.key, before.session_id, changes);
+  storage.saveSession(updated.session_id, { ...updated });
+  recordAudit('update', { actorId: req.user.username, reason: reason.trim(), before, after: { ...updated } });
+
+  res.json(updated);
+});
+
+app.delete('/api/time-entries/:session_id', (req, res) => {
+  const found = findVisibleHistory(req, req.params.session_id);
+  if (!found) {
+    return res.status(404).json({ error: 'Time entry not found' });
+  }
+  if (!canChangeEntry(req.user, found.record)) {
+    return res.status(403).json({ error: 'Only leads and admins can change tracked sessions' });
+  }
+
+  const error = validateEntryChange(req.body || {}, { requireDuration: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const before = { ...found.record };
+  storage.removeHistory(found.key, before.session_id);
+  storage.deleteSession(before.session_id);
+  recordAudit('delete', { actorId: req.user.username, reason: req.body.reason.trim(), before });
+
+  res.json({ success: true });
+});
+
+// Audit trail, oldest first. Query: admin_id, conversation_id, session_id
+app.get('/api/audit', (req, res) => {
+  const { admin_id, conversation_id, session_id } = req.query;
+
+  const entries = storage.listAudit().filter(entry =>
+    entry.workspace_id === req.workspaceId &&
+    canAccessAdmin(req, entry.admin_id) &&
+    (!admin_id || String(entry.admin_id) === String(admin_id)) &&
+    (!conversation_id || String(entry.conversation_id) === String(conversation_id)) &&
+    (!session_id || entry.session_id === session_id)
+  );
+
+  res.json({ entries });
+});
+
+// Hourly rates
+// A rate is set per admin or per team; an admin's team comes from their user account.
+
+function getRateKey(workspaceId, scope, id) {
+  return `${workspaceId}_${scope}_${id}`;
+}
+
+// Returns adminId => hourly rate for one workspace: the admin's rate, else their team's, else DEFAULT_HOURLY_RATE.
+// Memoised, so build one per request rather than per session.
+function createRateLookup(workspaceId) {
+  const rates = new Map();
+  const teams = new Map(storage.listUsers()
+    .filter(user => user.workspace_id === workspaceId && user.admin_id && user.team)
+    .map(user => [String(user.admin_id), user.team]));
+
+  return adminId => {
+    const key = String(adminId);
+    if (!rates.has(key)) {
+      const adminRate = storage.getRate(getRateKey(workspaceId, 'admin', key));
+      const teamRate = teams.has(key) && storage.getRate(getRateKey(workspaceId, 'team', teams.get(key)));
+      rates.set(key, (adminRate || teamRate || { hourly_rate: DEFAULT_HOURLY_RATE }).hourly_rate);
+    }
+    return rates.get(key);
+  };
+}
+
+// Rates are read by leads and admins, and set by admins
+app.get('/api/rates', requireRole('lead', 'admin'), (req, res) => {
+  res.json({
+    currency: RATE_CURRENCY,
+    default_hourly_rate: DEFAULT_HOURLY_RATE,
+    rates: storage.listRates().filter(rate => rate.workspace_id === req.workspaceId)
+  });
+});
+
+// Body: hourly_rate (in RATE_CURRENCY)
+app.put('/api/rates/:scope/:id', requireRole('admin'), (req, res) => {
+  const { scope, id } = req.params;
+  const hourlyRate = req.body.hourly_rate;
+
+  if (!RATE_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: 'scope must be "admin" or "team"' });
+  }
+  if (typeof hourlyRate !== 'number' || !Number.isFinite(hourlyRate) || hourlyRate < 0) {
+    return res.status(400).json({ error: 'hourly_rate must be a non-negative number' });
+  }
+
+  const rate = {
+    workspace_id: req.workspaceId,
+    scope,
+    id,
+    hourly_rate: hourlyRate,
+    updated_by: req.user.username,
+    updated_at: Date.now()
+  };
+  storage.saveRate(getRateKey(req.workspaceId, scope, id), rate);
+
+  res.json(rate);
+});
+
+app.delete('/api/rates/:scope/:id', requireRole('admin'), (req, res) => {
+  const key = getRateKey(req.workspaceId, req.params.scope, req.params.id);
+  if (!storage.getRate(key)) {
+    return res.status(404).json({ error: 'Rate not found' });
+  }
+
+  storage.deleteRate(key);
+  res.json({ success: true });
+});
+
+// Time budgets
+// A budget is set per team (from the admin's user account) or per conversation tag.
+// When several apply to a timer, the lowest threshold of each level wins.
+
+function getBudgetKey(workspaceId, scope, id) {
+  return `${workspaceId}_${scope}_${id}`;
+}
+
+function getAdminTeam(workspaceId, adminId) {
+  const user = storage.listUsers().find(user =>
+    user.workspace_id === workspaceId && user.team && user.admin_id && String(user.admin_id) === String(adminId));
+  return user ? user.team : null;
+}
+
+function getTimeBudgets(timer) {
+  const team = getAdminTeam(timer.workspace_id, timer.admin_id);
+  const budgets = [
+    team && storage.getBudget(getBudgetKey(timer.workspace_id, 'team', team)),
+    ...(timer.tags || []).map(tag => storage.getBudget(getBudgetKey(timer.workspace_id, 'tag', tag)))
+  ].filter(Boolean);
+
+  return budgets.length > 0 ? budgets : [{ scope: 'default', id: null, ...DEFAULT_TIME_BUDGET }];
+}
+
+// The threshold that applies to a timer for each level: [{ level, threshold, budget }], in BUDGET_LEVELS order
+function getBudgetThresholds(timer) {
+  const budgets = getTimeBudgets(timer);
+  return BUDGET_LEVELS
+    .map(level => {
+      const field = BUDGET_THRESHOLD_FIELDS[level];
+      const budget = budgets
+        .filter(candidate => candidate[field] != null)
+        .sort((a, b) => a[field] - b[field])[0];
+      return budget && { level, threshold: budget[field], budget };
+    })
+    .filter(Boolean);
+}
+
+// Posts a breach to the workspace's alert URL (its budget_alert_url, else BUDGET_ALERT_WEBHOOK_URL).
+// `text` lets Slack-style incoming webhooks show the alert as is.
+async function sendBudgetAlert(breach) {
+  const workspace = storage.getWorkspace(breach.workspace_id) || {};
+  const url = workspace.budget_alert_url || BUDGET_ALERT_WEBHOOK_URL;
+  if (!url) return;
+
+  const text = breach.level === 'escalated'
+    ? `🚨 Admin ${breach.admin_id} has spent ${formatDuration(breach.elapsed)} on conversation ${breach.conversation_id} (escalation threshold ${formatDuration(breach.threshold)})`
+    : `⚠️ Admin ${breach.admin_id} has spent ${formatDuration(breach.elapsed)} on conversation ${breach.conversation_id} (warning threshold ${formatDuration(breach.threshold)})`;
+
+  try {
+    // Checked again here as well as when it's set: the host may have been re-pointed since
+    const urlError = await checkOutboundUrl(url);
+    if (urlError) throw new Error(urlError);
+
+    await axios.post(url, { type: `time_budget.${breach.level}`, text, breach }, { ...OUTBOUND_REQUEST_OPTIONS, timeout: 10000 });
+  } catch (error) {
+    const detail = error.response ? error.response.status : error.message;
+    console.error(`Time budget alert failed for session ${breach.session_id}:`, detail);
+  }
+}
+
+function recordBudgetBreach(timer, { level, threshold, budget }, elapsed) {
+  const breach = storage.appendBudgetBreach({
+    breach_id: crypto.randomUUID(),
+    level,
+    threshold,
+    elapsed,
+    budget_scope: budget.scope,
+    budget_id: budget.id,
+    at: Date.now(),
+    workspace_id: timer.workspace_id,
+    admin_id: timer.admin_id,
+    conversation_id: timer.conversation_id,
+    session_id: timer.session_id,
+    tags: timer.tags || []
+  });
+
+  console.log(`Time budget ${level}: admin ${timer.admin_id}, conversation ${timer.conversation_id}`);
+  sendBudgetAlert(breach);
+}
+
+// Record each budget level the timer has newly crossed, once per session. Doesn't save the timer;
+// returns whether anything changed. Runs on every sweep and whenever a timer pauses or stops,
+// so a threshold crossed between sweeps is still caught.
+function checkTimeBudget(timer, elapsed = getCurrentElapsed(timer)) {
+  const recorded = BUDGET_LEVELS.indexOf(timer.budget_level);
+  const crossed = getBudgetThresholds(timer)
+    .filter(({ level, threshold }) => elapsed >= threshold && BUDGET_LEVELS.indexOf(level) > recorded);
+  if (crossed.length === 0) return false;
+
+  crossed.forEach(threshold => recordBudgetBreach(timer, threshold, elapsed));
+  timer.budget_level = crossed[crossed.length - 1].level;
+  return true;
+}
+
+function sweepTimeBudgets() {
+  for (const timer of storage.listTimers()) {
+    if (timer.status === 'running' && checkTimeBudget(timer)) saveTimer(timer);
+  }
+}
+
+function startBudgetSweeper() {
+  const interval = setInterval(sweepTimeBudgets, BUDGET_SWEEP_INTERVAL_MS);
+  interval.unref();
+  return interval;
+}
+
+// Admins manage every budget; leads only their own team's
+function canManageBudget(user, scope, id) {
+  return user.role === 'admin' || (user.role === 'lead' && scope === 'team' && user.team === id);
+}
+
+app.get('/api/budgets', requireRole('lead', 'admin'), (req, res) => {
+  res.json({
+    defaults: DEFAULT_TIME_BUDGET,
+    budgets: storage.listBudgets().filter(budget => budget.workspace_id === req.workspaceId)
+  });
+});
+
+// Body: warn_after_ms, escalate_after_ms (at least one; the escalation must come after the warning)
+app.put('/api/budgets/:scope/:id', requireRole('lead', 'admin'), (req, res) => {
+  const { scope, id } = req.params;
+  const { warn_after_ms: warnAfter = null, escalate_after_ms: escalateAfter = null } = req.body;
+  const isThreshold = value => value === null || (Number.isInteger(value) && value > 0);
+
+  if (!BUDGET_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: 'scope must be "team" or "tag"' });
+  }
+  if (!canManageBudget(req.user, scope, id)) {
+    return res.status(403).json({ error: 'Leads can only set their own team\'s budget' });
+  }
+  if (!isThreshold(warnAfter) || !isThreshold(escalateAfter) || (warnAfter === null && escalateAfter === null)) {
+    return res.status(400).json({ error: 'warn_after_ms and/or escalate_after_ms must be given as positive milliseconds' });
+  }
+  if (warnAfter !== null && escalateAfter !== null && escalateAfter <= warnAfter) {
+    return res.status(400).json({ error: 'escalate_after_ms must be greater than warn_after_ms' });
+  }
+
+  const budget = {
+    workspace_id: req.workspaceId,
+    scope,
+    id,
+    warn_after_ms: warnAfter,
+    escalate_after_ms: escalateAfter,
+    updated_by: req.user.username,
+    updated_at: Date.now()
+  };
+  storage.saveBudget(getBudgetKey(req.workspaceId, scope, id), budget);
+
+  res.json(budget);
+});
+
+app.delete('/api/budgets/:scope/:id', requireRole('lead', 'admin'), (req, res) => {
+  const { scope, id } = req.params;
+  const key = getBudgetKey(req.workspaceId, scope, id);
+
+  if (!canManageBudget(req.user, scope, id)) {
+    return res.status(403).json({ error: 'Leads can only set their own team\'s budget' });
+  }
+  if (!storage.getBudget(key)) {
+    return res.status(404).json({ error: 'Budget not found' });
+  }
+
+  storage.deleteBudget(key);
+  res.json({ success: true });
+});
+
+// Recorded breaches for reporting, oldest first
+// Query: admin_id, conversation_id, level=warning|escalated, from, to (matched against when the threshold was crossed)
+app.get('/api/budget-breaches', (req, res) => {
+  const { admin_id, conversation_id, level } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+  if (level && !BUDGET_LEVELS.includes(level)) {
+    return res.status(400).json({ error: 'level must be "warning" or "escalated"' });
+  }
+
+  const breaches = storage.listBudgetBreaches().filter(breach =>
+    breach.workspace_id === req.workspaceId &&
+    canAccessAdmin(req, breach.admin_id) &&
+    (!admin_id || String(breach.admin_id) === String(admin_id)) &&
+    (!conversation_id || String(breach.conversation_id) === String(conversation_id)) &&
+    (!level || breach.level === level) &&
+    (from == null || breach.at >= from) &&
+    (to == null || breach.at <= to)
+  );
+
+  res.json({
+    workspace_id: req.workspaceId,
+    range: { from, to },
+    total: breaches.length,
+    by_level: Object.fromEntries(BUDGET_LEVELS.map(name => [name, breaches.filter(breach => breach.level === name).length])),
+    breaches
+  });
+});
+
+// Outbound webhook subscriptions (admins only)
+
+// Subscription fields that are safe to return; the secret is only shown when the subscription is created
+function toPublicSubscription(subscription) {
+  const { secret, ...publicSubscription } = subscription;
+  return publicSubscription;
+}
+
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  res.json({
+    event_types: EVENT_TYPES,
+    subscriptions: storage.listWebhookSubscriptions()
+      .filter(subscription => subscription.workspace_id === req.workspaceId)
+      .map(toPublicSubscription),
+    pending_deliveries: storage.listWebhookDeliveries().filter(delivery => delivery.workspace_id === req.workspaceId).length
+  });
+});
+
+// Body: url, events (default: all event types), secret (default: generated)
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  const { url, events = EVENT_TYPES, secret } = req.body;
+
+  const urlError = await checkOutboundUrl(url);
+  if (urlError) {
+    return res.status(400).json({ error: urlError });
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some(type => !EVENT_TYPES.includes(type))) {
+    return res.status(400).json({ error: `events must be a list of: ${EVENT_TYPES.join(', ')}` });
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be at least 16 characters' });
+  }
+
+  const subscription = {
+    subscription_id: crypto.randomUUID(),
+    workspace_id: req.workspaceId,
+    url,
+    events: Array.from(new Set(events)),
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    created_by: req.user.username,
+    created_at: Date.now()
+  };
+  storage.saveWebhookSubscription(subscription.subscription_id, subscription);
+
+  res.status(201).json(subscription);
+});
+
+// Queued deliveries for the subscription are dropped when they next come up
+app.delete('/api/webhooks/:subscription_id', requireRole('admin'), (req, res) => {
+  const subscription = storage.getWebhookSubscription(req.params.subscription_id);
+  if (!subscription || subscription.workspace_id !== req.workspaceId) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  storage.deleteWebhookSubscription(subscription.subscription_id);
+  res.json({ success: true });
+});
+
+// Deliveries that failed every attempt, with the event, attempt count and last error
+app.get('/api/webhooks/dead-letters', requireRole('admin'), (req, res) => {
+  res.json({
+    dead_letters: storage.listDeadLetters()
+      .filter(deadLetter => deadLetter.workspace_id === req.workspaceId)
+      .sort((a, b) => a.failed_at - b.failed_at)
+  });
+});
+
+app.post('/api/webhooks/dead-letters/:delivery_id/retry', requireRole('admin'), (req, res) => {
+  const deadLetter = storage.getDeadLetter(req.params.delivery_id);
+  if (!deadLetter || deadLetter.workspace_id !== req.workspaceId) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+
+  webhookDispatcher.retryDeadLetter(deadLetter.delivery_id);
+  res.json({ success: true });
+});
+
+app.delete('/api/webhooks/dead-letters/:delivery_id', requireRole('admin'), (req, res) => {
+  const deadLetter = storage.getDeadLetter(req.params.delivery_id);
+  if (!deadLetter || deadLetter.workspace_id !== req.workspaceId) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+
+  storage.deleteDeadLetter(deadLetter.delivery_id);
+  res.json({ success: true });
+});
+
+// Analytics helpers
+
+// Parse a `from`/`to` query value: epoch milliseconds or anything Date can parse
+function parseDateParam(value) {
+  if (value === undefined || value === '') return null;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+}
+
+// Linear-interpolated percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const totalTime = sorted.reduce((sum, d) => sum + d, 0);
+
+  return {
+    total_sessions: sorted.length,
+    total_time: totalTime,
+    average_time: sorted.length > 0 ? totalTime / sorted.length : 0,
+    median_time: percentile(sorted, 50),
+    percentiles: {
+      p50: percentile(sorted, 50),
+      p75: percentile(sorted, 75),
+      p90: percentile(sorted, 90),
+      p95: percentile(sorted, 95)
+    }
+  };
+}
+
+// Completed sessions (and optionally live timers as in-flight sessions) matching the filters.
+// A session falls in the range when its start_time does.
+// `adminIds` (a Set, or null for everyone) limits results to the admins the user can see.
+function collectSessions({ workspaceId, adminIds = null, adminId, from, to, includeLive } = {}) {
+  const matches = session =>
+    session.workspace_id === workspaceId &&
+    (adminIds === null || adminIds.has(String(session.admin_id))) &&
+    (adminId === undefined || String(session.admin_id) === String(adminId)) &&
+    (from == null || session.start_time >= from) &&
+    (to == null || session.start_time <= to);
+
+  const collected = [];
+
+  for (const [, sessionsList] of storage.listHistory()) {
+    sessionsList
+      .filter(s => typeof s.final_duration === 'number' && matches(s))
+      .forEach(s => collected.push(s));
+  }
+
+  if (includeLive) {
+    storage.listTimers()
+      .filter(matches)
+      .forEach(timer => collected.push({ ...timer, final_duration: getCurrentElapsed(timer), live: true }));
+  }
+
+  return collected;
+}
+
+function groupBy(items, getKey) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+function sumDurations(sessionsList) {
+  return sessionsList.reduce((sum, s) => sum + s.final_duration, 0);
+}
+
+function toDateKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Monday (UTC) of the week containing the timestamp
+function toWeekKey(timestamp) {
+  const date = new Date(timestamp);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  return date.toISOString().slice(0, 10);
+}
+
+// Time per category for a session. Each segment counts under the category it was tracked in;
+// the split is scaled to final_duration so corrected sessions add up.
+function getCategoryDurations(session) {
+  const durations = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  const total = session.final_duration || 0;
+  const fallback = session.category || DEFAULT_CATEGORY;
+  const now = Date.now();
+
+  const segments = (session.segments || []).map(segment => ({
+    category: segment.category || fallback,
+    duration: Math.max(0, (segment.end ?? now) - segment.start)
+  }));
+  const tracked = segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+  if (tracked === 0) {
+    durations[fallback] += total;
+  } else {
+    segments.forEach(segment => {
+      durations[segment.category] += total * (segment.duration / tracked);
+    });
+  }
+  return durations;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Billable time and cost of a set of sessions, each priced at its admin's hourly rate
+function summarizeBilling(sessionsList, rateFor) {
+  const timeByCategory = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  let cost = 0;
+  let billableAmount = 0;
+
+  sessionsList.forEach(session => {
+    const durations = getCategoryDurations(session);
+    const rate = rateFor(session.admin_id);
+    CATEGORIES.forEach(category => { timeByCategory[category] += durations[category]; });
+    cost += (session.final_duration / HOUR_MS) * rate;
+    billableAmount += (durations.billable / HOUR_MS) * rate;
+  });
+
+  const totalTime = sumDurations(sessionsList);
+  return {
+    currency: RATE_CURRENCY,
+    time_by_category: timeByCategory,
+    billable_time: timeByCategory.billable,
+    non_billable_time: totalTime - timeByCategory.billable,
+    cost: roundMoney(cost),
+    billable_amount: roundMoney(billableAmount)
+  };
+}
+
+const PERIOD_KEYS = { day: toDateKey, week: toWeekKey };
+const RANK_FIELDS = ['total_time', 'average_time', 'total_sessions', 'conversations'];
+
+// Team-wide analytics and leaderboard
+// Query: from, to, include_live, group_by=day|week, rank_by=total_time|average_time|total_sessions|conversations
+app.get('/api/analytics', (req, res) => {
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const includeLive = req.query.include_live === 'true';
+  const groupByPeriod = req.query.group_by;
+  const rankBy = req.query.rank_by || 'total_time';
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+  if (groupByPeriod && !PERIOD_KEYS[groupByPeriod]) {
+    return res.status(400).json({ error: 'group_by must be "day" or "week"' });
+  }
+  if (!RANK_FIELDS.includes(rankBy)) {
+    return res.status(400).json({ error: `rank_by must be one of: ${RANK_FIELDS.join(', ')}` });
+  }
+
+  const allSessions = collectSessions({ workspaceId: req.workspaceId, adminIds: req.visibleAdminIds, from, to, includeLive });
+  const summary = summarizeDurations(allSessions.map(s => s.final_duration));
+  const rateFor = createRateLookup(req.workspaceId);
+
+  const admins = Array.from(groupBy(allSessions, s => String(s.admin_id)))
+    .map(([adminId, adminSessions]) => {
+      const adminSummary = summarizeDurations(adminSessions.map(s => s.final_duration));
+      const adminBilling = summarizeBilling(adminSessions, rateFor);
+      return {
+        admin_id: adminId,
+        total_sessions: adminSummary.total_sessions,
+        total_time: adminSummary.total_time,
+        average_time: adminSummary.average_time,
+        median_time: adminSummary.median_time,
+        conversations: new Set(adminSessions.map(s => String(s.conversation_id))).size,
+        billable_time: adminBilling.billable_time,
+        hourly_rate: rateFor(adminId),
+        cost: adminBilling.cost,
+        billable_amount: adminBilling.billable_amount,
+        formatted: {
+          total_time: formatDuration(adminSummary.total_time),
+          average_time: formatDuration(adminSummary.average_time)
+        }
+      };
+    })
+    .sort((a, b) => b[rankBy] - a[rankBy])
+    .map((admin, index) => ({ rank: index + 1, ...admin }));
+
+  const response = {
+    workspace_id: req.workspaceId,
+    range: { from, to },
+    include_live: includeLive,
+    rank_by: rankBy,
+    total_admins: admins.length,
+    total_conversations: new Set(allSessions.map(s => String(s.conversation_id))).size,
+    ...summary,
+    billing: summarizeBilling(allSessions, rateFor),
+    formatted: {
+      total_time: formatDuration(summary.total_time),
+      average_time: formatDuration(summary.average_time),
+      median_time: formatDuration(summary.median_time)
+    },
+    admins
+  };
+
+  if (groupByPeriod) {
+    response.group_by = groupByPeriod;
+    response.periods = Array.from(groupBy(allSessions, s => PERIOD_KEYS[groupByPeriod](s.start_time)))
+      .map(([period, periodSessions]) => ({
+        period,
+        total_sessions: periodSessions.length,
+        total_time: sumDurations(periodSessions),
+        average_time: sumDurations(periodSessions) / periodSessions.length,
+        admins: Array.from(groupBy(periodSessions, s => String(s.admin_id)))
+          .map(([adminId, adminSessions]) => ({
+            admin_id: adminId,
+            total_sessions: adminSessions.length,
+            total_time: sumDurations(adminSessions)
+          }))
+          .sort((a, b) => b.total_time - a.total_time)
+      }))
+      .sort((a, b) => a.period.localeCompare(b.period));
+  }
+
+  res.json(response);
+});
+
+// Analytics endpoint
+// Query: from, to (ISO date or epoch ms), include_live=true to count running/paused timers
+app.get('/api/analytics/:admin_id', (req, res) => {
+  const adminId = req.params.admin_id;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const includeLive = req.query.include_live === 'true';
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+  if (!canAccessAdmin(req, adminId)) {
+    return res.status(403).json({ error: 'Not allowed for this admin' });
+  }
+
+  const adminSessions = collectSessions({ workspaceId: req.workspaceId, adminId, from, to, includeLive });
+  const summary = summarizeDurations(adminSessions.map(s => s.final_duration));
+  const rateFor = createRateLookup(req.workspaceId);
+
+  const sessionsPerDay = Array.from(groupBy(adminSessions, s => toDateKey(s.start_time)))
+    .map(([date, daySessions]) => ({
+      date,
+      sessions: daySessions.length,
+      total_time: sumDurations(daySessions)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  // Every session for a conversation joined into one row
+  const conversations = Array.from(groupBy(adminSessions, s => String(s.conversation_id)))
+    .map(([conversationId, conversationSessions]) => {
+      const totalTime = sumDurations(conversationSessions);
+      const conversationBilling = summarizeBilling(conversationSessions, rateFor);
+      return {
+        conversation_id: conversationId,
+        sessions: conversationSessions.length,
+        total_time: totalTime,
+        average_time: totalTime / conversationSessions.length,
+        billable_time: conversationBilling.billable_time,
+        billable_amount: conversationBilling.billable_amount,
+        first_start: Math.min(...conversationSessions.map(s => s.start_time)),
+        last_end: Math.max(...conversationSessions.map(s => s.end_time || Date.now())),
+        live: conversationSessions.some(s => s.live),
+        session_ids: conversationSessions.map(s => s.session_id)
+      };
+    })
+    .sort((a, b) => b.total_time - a.total_time);
+
+  res.json({
+    workspace_id: req.workspaceId,
+    admin_id: adminId,
+    range: { from, to },
+    include_live: includeLive,
+    ...summary,
+    live_time: sumDurations(adminSessions.filter(s => s.live)),
+    hourly_rate: rateFor(adminId),
+    billing: summarizeBilling(adminSessions, rateFor),
+    sessions_per_day: sessionsPerDay,
+    conversations,
+    formatted: {
+      total_time: formatDuration(summary.total_time),
+      average_time: formatDuration(summary.average_time),
+      median_time: formatDuration(summary.median_time),
+      p75: formatDuration(summary.percentiles.p75),
+      p90: formatDuration(summary.percentiles.p90),
+      p95: formatDuration(summary.percentiles.p95)
+    }
+  });
+});
+
+// Export helpers
+
+const EXPORT_COLUMNS = [
+  'admin_id', 'conversation_id', 'session_id', 'source', 'start_time', 'end_time', 'final_duration', 'pause_count',
+  'category', 'tags', 'billable_duration', 'hourly_rate', 'cost', 'billable_amount'
+];
+const EXPORT_DEFAULT_LIMIT = 1000;
+const EXPORT_MAX_LIMIT = 10000;
+
+function toExportRow(record, rateFor) {
+  const billing = summarizeBilling([record], rateFor);
+  return {
+    admin_id: record.admin_id,
+    conversation_id: record.conversation_id,
+    session_id: record.session_id,
+    source: record.source || 'tracker',
+    start_time: new Date(record.start_time).toISOString(),
+    end_time: new Date(record.end_time).toISOString(),
+    final_duration: record.final_duration,
+    pause_count: record.pause_count || 0,
+    category: record.category || DEFAULT_CATEGORY,
+    tags: (record.tags || []).join(';'),
+    billable_duration: Math.round(billing.billable_time),
+    hourly_rate: rateFor(record.admin_id),
+    cost: billing.cost,
+    billable_amount: billing.billable_amount
+  };
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export order is (end_time, session_id); cursors encode the last row of the previous page
+function compareExportOrder(a, b) {
+  return a.end_time - b.end_time || String(a.session_id).localeCompare(String(b.session_id));
+}
+
+function encodeExportCursor(record) {
+  return Buffer.from(`${record.end_time}:${record.session_id}`).toString('base64url');
+}
+
+function decodeExportCursor(cursor) {
+  const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const endTime = Number(decoded.slice(0, separator));
+  if (separator === -1 || Number.isNaN(endTime)) return null;
+  return { end_time: endTime, session_id: decoded.slice(separator + 1) };
+}
+
+// Pick the first `limit` matching records after the cursor without sorting the whole history:
+// only a window of limit + 1 records (the extra one tells us there's another page) is kept.
+function selectExportPage({ workspaceId, adminIds, adminId, conversationId, from, to, after, limit }) {
+  const page = [];
+
+  for (const [, sessionsList] of storage.listHistory()) {
+    for (const record of sessionsList) {
+      if (typeof record.final_duration !== 'number') continue;
+      if (record.workspace_id !== workspaceId) continue;
+      if (adminIds !== null && !adminIds.has(String(record.admin_id))) continue;
+      if (adminId !== undefined && String(record.admin_id) !== String(adminId)) continue;
+      if (conversationId !== undefined && String(record.conversation_id) !== String(conversationId)) continue;
+      if (from != null && record.start_time < from) continue;
+      if (to != null && record.start_time > to) continue;
+      if (after && compareExportOrder(record, after) <= 0) continue;
+      if (page.length > limit && compareExportOrder(record, page[page.length - 1]) >= 0) continue;
+
+      let index = page.length;
+      while (index > 0 && compareExportOrder(record, page[index - 1]) < 0) index--;
+      page.splice(index, 0, record);
+      if (page.length > limit + 1) page.pop();
+    }
+  }
+
+  const hasMore = page.length > limit;
+  return { records: page.slice(0, limit), hasMore };
+}
+
+// Export completed sessions for billing and payroll
+// Query: workspace_id, format=csv|ndjson, admin_id, conversation_id, from, to, limit (max 10000), cursor
+app.get('/api/export', (req, res) => {
+  const format = req.query.format || 'csv';
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const limit = req.query.limit === undefined ? EXPORT_DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+  const after = req.query.cursor ? decodeExportCursor(req.query.cursor) : null;
+
+  if (format !== 'csv' && format !== 'ndjson') {
+    return res.status(400).json({ error: 'format must be "csv" or "ndjson"' });
+  }
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+  if (!(limit > 0 && limit <= EXPORT_MAX_LIMIT)) {
+    return res.status(400).json({ error: `limit must be between 1 and ${EXPORT_MAX_LIMIT}` });
+  }
+  if (req.query.cursor && !after) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const { records, hasMore } = selectExportPage({
+    workspaceId: req.workspaceId,
+    adminIds: req.visibleAdminIds,
+    adminId: req.query.admin_id,
+    conversationId: req.query.conversation_id,
+    from,
+    to,
+    after,
+    limit
+  });
+
+  if (hasMore) {
+    const nextCursor = encodeExportCursor(records[records.length - 1]);
+    // The token may have come in the query string; it must not be echoed back in a header
+    const { access_token, ...query } = req.query;
+    const nextQuery = new URLSearchParams({ ...query, cursor: nextCursor });
+    res.set('X-Next-Cursor', nextCursor);
+    res.set('Link', `<${req.path}?${nextQuery}>; rel="next"`);
+  }
+
+  const rateFor = createRateLookup(req.workspaceId);
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment('sessions.csv');
+    res.write(EXPORT_COLUMNS.join(',') + '\n');
+    records.forEach(record => {
+      const row = toExportRow(record, rateFor);
+      res.write(EXPORT_COLUMNS.map(column => toCsvValue(row[column])).join(',') + '\n');
+    });
+  } else {
+    res.type('application/x-ndjson');
+    records.forEach(record => res.write(JSON.stringify(toExportRow(record, rateFor)) + '\n'));
+  }
+
+  res.end();
+});
+
+// Helper function to pause a running timer.
+// `pausedAt` lets the idle sweeper trim elapsed time back to the last heartbeat.
+function pauseTimer(timer, reason = 'manual', pausedAt = Date.now()) {
+  if (timer.status !== 'running') return;
+
+  timer.total_elapsed += Math.max(0, pausedAt - timer.last_update);
+  checkTimeBudget(timer, timer.total_elapsed);
+  closeSegment(timer, reason, Math.max(pausedAt, timer.last_update));
+  timer.status = 'paused';
+  timer.pause_reason = reason;
+  timer.pause_count = (timer.pause_count || 0) + 1;
+  timer.last_update = Math.max(pausedAt, timer.last_update);
+  saveTimer(timer);
+  emitTimerEvent('timer.paused', timer);
+}
+
+// Switch the category for time tracked from now on. A running timer closes its segment and
+// opens a new one, so earlier time keeps the category it was tracked under.
+function setTimerCategory(timer, category, source) {
+  timer.category_source = source;
+
+  if ((timer.category || DEFAULT_CATEGORY) !== category) {
+    timer.category = category;
+    if (timer.status === 'running') {
+      const now = Math.max(Date.now(), timer.last_update);
+      closeSegment(timer, 'category_change', now);
+      timer.segments.push({ start: now, end: null, pause_reason: null, category });
+    }
+  }
+
+  saveTimer(timer);
+}
+
+// Free-form tags from an array or a comma-separated string: trimmed, without blanks or duplicates
+function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(tags.map(tag => String(tag ?? '').trim()).filter(Boolean))];
+}
+
+// End the open running segment, recording why the agent stopped working
+function closeSegment(timer, reason, endedAt) {
+  const segment = (timer.segments || []).find(s => s.end === null);
+  if (!segment) return;
+
+  segment.end = Math.max(segment.start, endedAt);
+  segment.pause_reason = reason;
+}
+
+// Helper function to resume a paused timer.
+// A `resumedAt` in the past (queued client events) can't go back before the last transition.
+function resumeTimer(timer, resumedAt = Date.now()) {
+  if (timer.status !== 'paused') return;
+
+  timer.status = 'running';
+  timer.pause_reason = null;
+  timer.superseded_by = null;
+  timer.last_update = Math.max(resumedAt, timer.last_update);
+  timer.segments = timer.segments || [];
+  timer.segments.push({ start: timer.last_update, end: null, pause_reason: null, category: timer.category || DEFAULT_CATEGORY });
+  saveTimer(timer);
+  emitTimerEvent('timer.resumed', timer);
+  supersedeOtherTimers(timer, timer.last_update);
+}
+
+// Helper function to record that a client is still alive for this timer
+function recordHeartbeat(timer, visible) {
+  timer.last_heartbeat = Date.now();
+  timer.visible = visible;
+  saveTimer(timer);
+}
+
+// Pause running timers whose client has stopped sending heartbeats (crashed browser, lost network).
+// Timers that never received a heartbeat (sidebar-only usage) have no liveness signal and are left alone.
+function sweepIdleTimers() {
+  const now = Date.now();
+
+  for (const timer of storage.listTimers()) {
+    if (timer.status !== 'running' || !timer.last_heartbeat) continue;
+
+    const lastSeen = Math.max(timer.last_heartbeat, timer.last_update);
+    if (now - lastSeen >= IDLE_TIMEOUT_MS) {
+      pauseTimer(timer, 'idle', lastSeen);
+      console.log('Auto-paused idle timer:', timer);
+    }
+  }
+}
+
+// Nothing was tracked while the server was down: pause timers that were running when the state was
+// last saved at that moment. The next heartbeat from a tab still on the conversation resumes them.
+function pauseTimersAtRestart() {
+  const savedAt = storage.getSavedAt();
+  if (!savedAt) return;
+
+  for (const timer of storage.listTimers()) {
+    if (timer.status !== 'running') continue;
+    pauseTimer(timer, 'restart', savedAt);
+    console.log('Paused timer left running at shutdown:', { admin_id: timer.admin_id, conversation_id: timer.conversation_id });
+  }
+}
+
+function startIdleSweeper() {
+  const interval = setInterval(sweepIdleTimers, IDLE_SWEEP_INTERVAL_MS);
+  interval.unref();
+  return interval;
+}
+
+// Helper function to stop timer
+function stopTimer(timer, reason = 'manual') {
+  if (timer.status === 'running') {
+    timer.total_elapsed += Date.now() - timer.last_update;
+    closeSegment(timer, reason, Date.now());
+    checkTimeBudget(timer, timer.total_elapsed);
+  }
+  
+  timer.status = 'stopped';
+  timer.end_reason = reason;
+  timer.final_duration = timer.total_elapsed;
+  timer.end_time = Date.now();
+
+  // Store the final state in history and as the session record
+  const timerKey = getTimerKey(timer.workspace_id, timer.admin_id, timer.conversation_id);
+  const finalRecord = { ...timer, segments: (timer.segments || []).map(s => ({ ...s })) };
+  storage.appendHistory(timerKey, finalRecord);
+  storage.saveSession(timer.session_id, { ...finalRecord, segments: finalRecord.segments.map(s => ({ ...s })) });
+
+  // Remove from active timers
+  storage.deleteTimer(timerKey);
+  emitTimerEvent('timer.stopped', timer);
+
+  writeBackSession(finalRecord);
+  webhookDispatcher.publish(finalRecord.workspace_id, 'session.finalised', finalRecord, finalRecord.end_time);
+}
+
+// Total tracked time on a conversation across all admins, including manual entries
+function getConversationTotal(workspaceId, conversationId) {
+  return storage.listHistory()
+    .flatMap(([, history]) => history)
+    .filter(record => record.workspace_id === workspaceId && String(record.conversation_id) === String(conversationId))
+    .reduce((sum, record) => sum + (record.final_duration || 0), 0);
+}
+
+// REST client for a workspace, or null when there's no token to write back with
+function getIntercomApi(workspaceId) {
+  if (!intercomClients.has(workspaceId)) {
+    const workspace = storage.getWorkspace(workspaceId);
+    let client = null;
+    if (workspace && workspace.access_token) {
+      client = createIntercomApi({ accessToken: workspace.access_token });
+    } else if (workspaceId === DEFAULT_WORKSPACE_ID) {
+      client = createIntercomApi();
+    }
+    intercomClients.set(workspaceId, client);
+  }
+  return intercomClients.get(workspaceId);
+}
+
+// Push a finalised session to Intercom. Runs in the background: failures are logged
+// after retries and never affect the timer itself.
+function writeBackSession(record) {
+  const intercomApi = getIntercomApi(record.workspace_id);
+  if (!intercomApi) return;
+
+  const total = getConversationTotal(record.workspace_id, record.conversation_id);
+  const writes = [];
+
+  if (INTERCOM_WRITEBACK.includes('attribute')) {
+    writes.push(intercomApi.updateConversationAttributes(record.conversation_id, {
+      [INTERCOM_TIME_ATTRIBUTE]: Math.round(total / 1000)
+    }));
+  }
+  if (INTERCOM_WRITEBACK.includes('note')) {
+    writes.push(intercomApi.addNote(record.conversation_id, record.admin_id,
+      `<p>⏱️ Tracked ${formatDuration(record.final_duration)} on this conversation (total ${formatDuration(total)}).</p>`));
+  }
+
+  Promise.allSettled(writes).then(results => {
+    results.filter(result => result.status === 'rejected').forEach(({ reason: error }) => {
+      const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+      console.error(`Intercom write-back failed for session ${record.session_id}:`, detail);
+    });
+  });
+}
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    active_timers: storage.countTimers(),
+    total_sessions: storage.countSessions()
+  });
+});
+
+// Dashboard data: active/paused timers and recent completed sessions
+// Query: workspace_id, admin_id, status=running|paused, limit (recent sessions, default 20)
+app.get('/api/dashboard', (req, res) => {
+  const { admin_id: adminId, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  if (status && status !== 'running' && status !== 'paused') {
+    return res.status(400).json({ error: 'status must be "running" or "paused"' });
+  }
+
+  const matchesAdmin = record => canAccessAdmin(req, record.admin_id) && (!adminId || String(record.admin_id) === String(adminId));
+
+  const timers = storage.listTimers()
+    .filter(timer => timer.workspace_id === req.workspaceId && matchesAdmin(timer) && (!status || timer.status === status))
+    .map(timer => ({
+      admin_id: timer.admin_id,
+      conversation_id: timer.conversation_id,
+      session_id: timer.session_id,
+      status: timer.status,
+      pause_reason: timer.pause_reason || null,
+      elapsed: getCurrentElapsed(timer),
+      start_time: timer.start_time,
+      last_update: timer.last_update
+    }))
+    .sort((a, b) => b.start_time - a.start_time);
+
+  const completedSessions = collectSessions({ workspaceId: req.workspaceId, adminIds: req.visibleAdminIds, adminId: adminId || undefined });
+  const recentSessions = completedSessions
+    .sort((a, b) => b.end_time - a.end_time)
+    .slice(0, limit)
+    .map(session => ({
+      admin_id: session.admin_id,
+      conversation_id: session.conversation_id,
+      session_id: session.session_id,
+      start_time: session.start_time,
+      end_time: session.end_time,
+      final_duration: session.final_duration,
+      end_reason: session.end_reason || null
+    }));
+
+  res.json({
+    generated_at: Date.now(),
+    stats: {
+      active_timers: timers.length,
+      running: timers.filter(t => t.status === 'running').length,
+      paused: timers.filter(t => t.status === 'paused').length,
+      completed_sessions: completedSessions.length,
+      average_session: summarizeDurations(completedSessions.map(s => s.final_duration)).average_time
+    },
+    timers,
+    recent_sessions: recentSessions
+  });
+});
+
+// Server-Sent Events stream of the workspace's timer state transitions
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    if (event.timer.workspace_id !== req.workspaceId || !canAccessAdmin(req, event.timer.admin_id)) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  timerEvents.on('transition', send);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    timerEvents.off('transition', send);
+  });
+});
+
+// Dashboard page (public/index.html, backed by /api/dashboard)
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.listen(PORT, () => {
+  pauseTimersAtRestart();
+  startIdleSweeper();
+  startBudgetSweeper();
+  webhookDispatcher.start();
+
+  console.log(`Time Tracker server running on port ${PORT}`);
+  console.log(`Dashboard available at: http://localhost:${PORT}/dashboard`);
   console.log(`Canvas Kit endpoint: http://localhost:${PORT}/initialize`);
   console.log(`Webhook endpoint: http://localhost:${PORT}/webhooks/conversations`);
+
+  if (!process.env.AUTH_TOKEN_SECRET) {
+    console.log('⚠️  AUTH_TOKEN_SECRET is not set: login tokens will stop working when the server restarts');
+  }
+  if (storage.listUsers().length === 0) {
+    console.log('⚠️  No users yet: set AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD to create the first admin');
+  }
+
+  if (CANVAS_DEV_MODE) {
+    console.log('⚠️  CANVAS_DEV_MODE is on: Canvas Kit signatures are not verified');
+    console.log(`Test initialize: http://localhost:${PORT}/test-initialize`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file
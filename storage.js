@@ -0,0 +1,539 @@
+// Storage backends for timers, sessions and conversation history
+// All server code goes through this interface so the backend can be swapped
+// Every record carries a workspace_id, and keys are prefixed with it so installed workspaces never collide
+
+const fs = require('fs');
+const path = require('path');
+
+// A stopped session is final: its session_id is never reused for a running timer
+function isFinished(session) {
+  return session.status === 'stopped';
+}
+
+// In-memory storage (used for tests and local development)
+class MemoryStorage {
+  constructor() {
+    this.workspaces = new Map(); // Key: workspace_id, Value: installation (OAuth access token, optional secrets)
+    this.users = new Map(); // Key: username, Value: dashboard/API user (password hash, role, admin_id, team)
+    this.rates = new Map(); // Key: `${workspace_id}_${scope}_${id}` (scope: admin or team), Value: hourly rate
+    this.budgets = new Map(); // Key: `${workspace_id}_${scope}_${id}` (scope: team or tag), Value: time budget thresholds
+    this.webhookSubscriptions = new Map(); // Key: subscription_id, Value: outbound webhook subscriber (URL, secret, events)
+    this.webhookDeliveries = new Map(); // Key: delivery_id, Value: outbound event waiting to be (re)delivered
+    this.deadLetters = new Map(); // Key: delivery_id, Value: outbound event that failed every attempt
+    this.timers = new Map(); // Key: `${workspace_id}_${admin_id}_${conversation_id}`, Value: timer data
+    this.sessions = new Map(); // Key: session_id, Value: session data
+    this.conversationHistory = new Map(); // Key: `${workspace_id}_${admin_id}_${conversation_id}`, Value: array of sessions
+    this.closedConversations = new Set(); // `${workspace_id}_${conversation_id}` closed in Intercom and not yet reopened
+    this.notifications = new Map(); // Key: webhook notification id, Value: received timestamp
+    this.clientEvents = new Map(); // Key: timer.js queued event id, Value: received timestamp
+    this.auditLog = []; // Append-only list of frozen audit entries
+    this.budgetBreaches = []; // Append-only list of frozen time budget breaches
+  }
+
+  // Workspaces
+  getWorkspace(workspaceId) {
+    return this.workspaces.get(String(workspaceId));
+  }
+
+  saveWorkspace(workspaceId, workspace) {
+    this.workspaces.set(String(workspaceId), workspace);
+    this.persist();
+  }
+
+  listWorkspaces() {
+    return Array.from(this.workspaces.values());
+  }
+
+  // Users
+  getUser(username) {
+    return this.users.get(String(username));
+  }
+
+  saveUser(username, user) {
+    this.users.set(String(username), user);
+    this.persist();
+  }
+
+  listUsers() {
+    return Array.from(this.users.values());
+  }
+
+  // Hourly rates
+  getRate(key) {
+    return this.rates.get(key);
+  }
+
+  saveRate(key, rate) {
+    this.rates.set(key, rate);
+    this.persist();
+  }
+
+  deleteRate(key) {
+    this.rates.delete(key);
+    this.persist();
+  }
+
+  listRates() {
+    return Array.from(this.rates.values());
+  }
+
+  // Time budgets
+  getBudget(key) {
+    return this.budgets.get(key);
+  }
+
+  saveBudget(key, budget) {
+    this.budgets.set(key, budget);
+    this.persist();
+  }
+
+  deleteBudget(key) {
+    this.budgets.delete(key);
+    this.persist();
+  }
+
+  listBudgets() {
+    return Array.from(this.budgets.values());
+  }
+
+  // Time budget breaches (append-only, like the audit log)
+  appendBudgetBreach(breach) {
+    const frozen = Object.freeze({ ...breach });
+    this.budgetBreaches.push(frozen);
+    this.persist();
+    return frozen;
+  }
+
+  listBudgetBreaches() {
+    return this.budgetBreaches.slice();
+  }
+
+  // Outbound webhook subscriptions
+  getWebhookSubscription(subscriptionId) {
+    return this.webhookSubscriptions.get(subscriptionId);
+  }
+
+  saveWebhookSubscription(subscriptionId, subscription) {
+    this.webhookSubscriptions.set(subscriptionId, subscription);
+    this.persist();
+  }
+
+  deleteWebhookSubscription(subscriptionId) {
+    this.webhookSubscriptions.delete(subscriptionId);
+    this.persist();
+  }
+
+  listWebhookSubscriptions() {
+    return Array.from(this.webhookSubscriptions.values());
+  }
+
+  // Outbound webhook delivery queue
+  saveWebhookDelivery(deliveryId, delivery) {
+    this.webhookDeliveries.set(deliveryId, delivery);
+    this.persist();
+  }
+
+  deleteWebhookDelivery(deliveryId) {
+    this.webhookDeliveries.delete(deliveryId);
+    this.persist();
+  }
+
+  listWebhookDeliveries() {
+    return Array.from(this.webhookDeliveries.values());
+  }
+
+  // Dead letters
+  getDeadLetter(deliveryId) {
+    return this.deadLetters.get(deliveryId);
+  }
+
+  saveDeadLetter(deliveryId, delivery) {
+    this.deadLetters.set(deliveryId, delivery);
+    this.persist();
+  }
+
+  deleteDeadLetter(deliveryId) {
+    this.deadLetters.delete(deliveryId);
+    this.persist();
+  }
+
+  listDeadLetters() {
+    return Array.from(this.deadLetters.values());
+  }
+
+  // Timers
+  getTimer(key) {
+    return this.timers.get(key);
+  }
+
+  saveTimer(key, timer) {
+    this.timers.set(key, timer);
+    this.persist();
+  }
+
+  deleteTimer(key) {
+    this.timers.delete(key);
+    this.persist();
+  }
+
+  listTimers() {
+    return Array.from(this.timers.values());
+  }
+
+  countTimers() {
+    return this.timers.size;
+  }
+
+  // Sessions
+  getSession(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  saveSession(sessionId, session) {
+    this.sessions.set(sessionId, session);
+    this.persist();
+  }
+
+  deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.persist();
+  }
+
+  countSessions() {
+    return this.sessions.size;
+  }
+
+  // Conversation history
+  getHistory(key) {
+    return this.conversationHistory.get(key) || [];
+  }
+
+  appendHistory(key, record) {
+    const history = this.conversationHistory.get(key) || [];
+    history.push(record);
+    this.conversationHistory.set(key, history);
+    this.persist();
+  }
+
+  listHistory() {
+    return Array.from(this.conversationHistory.entries());
+  }
+
+  // Find a history record by session_id. Returns { key, record } or undefined.
+  findHistory(sessionId) {
+    for (const [key, history] of this.conversationHistory) {
+      const record = history.find(r => r.session_id === sessionId);
+      if (record) return { key, record };
+    }
+    return undefined;
+  }
+
+  updateHistory(key, sessionId, changes) {
+    const record = this.getHistory(key).find(r => r.session_id === sessionId);
+    if (!record) return undefined;
+    Object.assign(record, changes);
+    this.persist();
+    return record;
+  }
+
+  removeHistory(key, sessionId) {
+    const history = this.getHistory(key).filter(r => r.session_id !== sessionId);
+    this.conversationHistory.set(key, history);
+    this.persist();
+  }
+
+  // Processed client events (offline queue deduplication)
+  hasClientEvent(eventId) {
+    return this.clientEvents.has(eventId);
+  }
+
+  // Records an event id and forgets any received before `pruneBefore`
+  recordClientEvent(eventId, pruneBefore) {
+    for (const [id, receivedAt] of this.clientEvents) {
+      if (receivedAt < pruneBefore) this.clientEvents.delete(id);
+    }
+    this.clientEvents.set(eventId, Date.now());
+    this.persist();
+  }
+
+  // Audit log (append-only: entries can't be changed or removed)
+  appendAudit(entry) {
+    const frozen = Object.freeze({ ...entry });
+    this.auditLog.push(frozen);
+    this.persist();
+    return frozen;
+  }
+
+  listAudit() {
+    return this.auditLog.slice();
+  }
+
+  // Closed conversations
+  markConversationClosed(workspaceId, conversationId) {
+    this.closedConversations.add(`${workspaceId}_${conversationId}`);
+    this.persist();
+  }
+
+  markConversationReopened(workspaceId, conversationId) {
+    this.closedConversations.delete(`${workspaceId}_${conversationId}`);
+    this.persist();
+  }
+
+  isConversationClosed(workspaceId, conversationId) {
+    return this.closedConversations.has(`${workspaceId}_${conversationId}`);
+  }
+
+  // Processed webhook notifications (replay protection)
+  hasNotification(notificationId) {
+    return this.notifications.has(notificationId);
+  }
+
+  // Records a notification id and forgets any received before `pruneBefore`
+  recordNotification(notificationId, pruneBefore) {
+    for (const [id, receivedAt] of this.notifications) {
+      if (receivedAt < pruneBefore) this.notifications.delete(id);
+    }
+    this.notifications.set(notificationId, Date.now());
+    this.persist();
+  }
+
+  // No-op for the in-memory backend
+  persist() {}
+
+  // When the stored state was last written, or null if nothing was recovered at startup
+  getSavedAt() {
+    return null;
+  }
+
+  // Nothing predates workspaces in memory
+  migrateLegacyRecords() {}
+}
+
+// JSON file storage: keeps everything in memory and writes a snapshot at most every `flushDelay` ms.
+// Changes are batched so a busy server (heartbeats, client events) doesn't rewrite the file on every one;
+// anything pending is written on exit, so only a hard crash can lose the last `flushDelay` ms.
+// What grows with every tracked session (conversation history, finished sessions, the audit log and
+// budget breaches) isn't in the snapshot: it's appended to `${filePath}.log` (JSON Lines) as it happens,
+// so the snapshot stays the size of the live state. The log is replayed and compacted on startup.
+class FileStorage extends MemoryStorage {
+  constructor(filePath, { flushDelay = 1000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.logPath = `${filePath}.log`;
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.replaying = false;
+    this.savedAt = null;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+    process.on('exit', () => this.flush());
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) this.loadSnapshot();
+    if (!fs.existsSync(this.filePath) && !fs.existsSync(this.logPath)) return;
+
+    this.replayLog();
+
+    // A hard crash can leave a timer in the snapshot that the log shows was stopped
+    for (const [key, timer] of this.timers) {
+      const session = this.sessions.get(timer.session_id);
+      if (session && session.status === 'stopped') this.timers.delete(key);
+    }
+
+    // Also moves history and logs out of snapshots written before the log existed
+    this.compactLog();
+    this.persist();
+
+    console.log(`Recovered ${this.timers.size} timers and ${this.sessions.size} sessions from ${this.filePath}`);
+  }
+
+  loadSnapshot() {
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    // Snapshots from before saved_at was recorded: the file's modification time is when it was written
+    this.savedAt = data.saved_at || fs.statSync(this.filePath).mtimeMs;
+    this.legacySnapshot = !data.workspaces;
+    this.workspaces = new Map(Object.entries(data.workspaces || {}));
+    this.users = new Map(Object.entries(data.users || {}));
+    this.rates = new Map(Object.entries(data.rates || {}));
+    this.budgets = new Map(Object.entries(data.budgets || {}));
+    this.webhookSubscriptions = new Map(Object.entries(data.webhookSubscriptions || {}));
+    this.webhookDeliveries = new Map(Object.entries(data.webhookDeliveries || {}));
+    this.deadLetters = new Map(Object.entries(data.deadLetters || {}));
+    this.timers = new Map(Object.entries(data.timers || {}));
+    this.sessions = new Map(Object.entries(data.sessions || {}));
+    this.conversationHistory = new Map(Object.entries(data.conversationHistory || {}));
+    this.closedConversations = new Set(data.closedConversations || []);
+    this.notifications = new Map(Object.entries(data.notifications || {}));
+    this.clientEvents = new Map(Object.entries(data.clientEvents || {}));
+    this.auditLog = (data.auditLog || []).map(entry => Object.freeze(entry));
+    this.budgetBreaches = (data.budgetBreaches || []).map(breach => Object.freeze(breach));
+  }
+
+  // Apply the log's entries in order through the same methods that wrote them
+  replayLog() {
+    if (!fs.existsSync(this.logPath)) return;
+
+    this.replaying = true;
+    fs.readFileSync(this.logPath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append leaves a partial last line
+        console.warn(`Skipping unreadable line ${index + 1} of ${this.logPath}`);
+        return;
+      }
+
+      switch (entry.op) {
+        case 'history.append': this.appendHistory(entry.key, entry.record); break;
+        case 'history.update': this.updateHistory(entry.key, entry.session_id, entry.changes); break;
+        case 'history.remove': this.removeHistory(entry.key, entry.session_id); break;
+        case 'session.save': this.saveSession(entry.session.session_id, entry.session); break;
+        case 'session.delete': this.deleteSession(entry.session_id); break;
+        case 'audit': this.appendAudit(entry.entry); break;
+        case 'breach': this.appendBudgetBreach(entry.breach); break;
+        default: console.warn(`Skipping unknown entry "${entry.op}" on line ${index + 1} of ${this.logPath}`);
+      }
+    });
+    this.replaying = false;
+  }
+
+  appendLog(entry) {
+    if (this.replaying) return;
+    fs.appendFileSync(this.logPath, `${JSON.stringify(entry)}\n`);
+  }
+
+  // Rewrite the log as one entry per current record, folding in corrections and removals
+  compactLog() {
+    const entries = [
+      ...Array.from(this.conversationHistory, ([key, history]) => history.map(record => ({ op: 'history.append', key, record }))).flat(),
+      ...Array.from(this.sessions.values()).filter(isFinished).map(session => ({ op: 'session.save', session })),
+      ...this.auditLog.map(entry => ({ op: 'audit', entry })),
+      ...this.budgetBreaches.map(breach => ({ op: 'breach', breach }))
+    ];
+
+    const tempPath = `${this.logPath}.tmp`;
+    fs.writeFileSync(tempPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tempPath, this.logPath);
+  }
+
+  appendHistory(key, record) {
+    super.appendHistory(key, record);
+    this.appendLog({ op: 'history.append', key, record });
+  }
+
+  updateHistory(key, sessionId, changes) {
+    const record = super.updateHistory(key, sessionId, changes);
+    if (record) this.appendLog({ op: 'history.update', key, session_id: sessionId, changes });
+    return record;
+  }
+
+  removeHistory(key, sessionId) {
+    super.removeHistory(key, sessionId);
+    this.appendLog({ op: 'history.remove', key, session_id: sessionId });
+  }
+
+  // Active sessions change on every heartbeat and stay in the snapshot; finished ones only go in the log
+  saveSession(sessionId, session) {
+    super.saveSession(sessionId, session);
+    if (isFinished(session)) this.appendLog({ op: 'session.save', session });
+  }
+
+  deleteSession(sessionId) {
+    super.deleteSession(sessionId);
+    this.appendLog({ op: 'session.delete', session_id: sessionId });
+  }
+
+  appendAudit(entry) {
+    const frozen = super.appendAudit(entry);
+    this.appendLog({ op: 'audit', entry: frozen });
+    return frozen;
+  }
+
+  appendBudgetBreach(breach) {
+    const frozen = super.appendBudgetBreach(breach);
+    this.appendLog({ op: 'breach', breach: frozen });
+    return frozen;
+  }
+
+  // Snapshots written before workspaces existed hold a single workspace's data: tag and re-key it
+  migrateLegacyRecords(workspaceId) {
+    if (!this.legacySnapshot) return;
+
+    this.timers = new Map(Array.from(this.timers.values(), timer => {
+      timer.workspace_id = workspaceId;
+      return [`${workspaceId}_${timer.admin_id}_${timer.conversation_id}`, timer];
+    }));
+    this.conversationHistory = new Map(Array.from(this.conversationHistory, ([key, history]) => {
+      history.forEach(record => { record.workspace_id = workspaceId; });
+      return [`${workspaceId}_${key}`, history];
+    }));
+    this.sessions.forEach(session => { session.workspace_id = workspaceId; });
+    this.closedConversations = new Set(Array.from(this.closedConversations, id => `${workspaceId}_${id}`));
+    this.auditLog = this.auditLog.map(entry => Object.freeze({ ...entry, workspace_id: workspaceId }));
+
+    this.legacySnapshot = false;
+    this.compactLog();
+    this.persist();
+    console.log(`Moved existing data into workspace ${workspaceId}`);
+  }
+
+  getSavedAt() {
+    return this.savedAt;
+  }
+
+  // Mark the snapshot dirty; it's written once the flush delay passes
+  persist() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    if (!this.flushTimer) return;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const data = {
+      saved_at: Date.now(),
+      workspaces: Object.fromEntries(this.workspaces),
+      users: Object.fromEntries(this.users),
+      rates: Object.fromEntries(this.rates),
+      budgets: Object.fromEntries(this.budgets),
+      webhookSubscriptions: Object.fromEntries(this.webhookSubscriptions),
+      webhookDeliveries: Object.fromEntries(this.webhookDeliveries),
+      deadLetters: Object.fromEntries(this.deadLetters),
+      timers: Object.fromEntries(this.timers),
+      sessions: Object.fromEntries(Array.from(this.sessions).filter(([, session]) => !isFinished(session))),
+      closedConversations: Array.from(this.closedConversations),
+      notifications: Object.fromEntries(this.notifications),
+      clientEvents: Object.fromEntries(this.clientEvents)
+    };
+
+    // Write to a temp file first so a crash mid-write can't corrupt the snapshot
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+// Pick a backend from STORAGE_BACKEND ('file' or 'memory')
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'file';
+
+  if (backend === 'memory') {
+    return new MemoryStorage();
+  }
+  if (backend === 'file') {
+    const filePath = options.path || process.env.STORAGE_PATH || path.join(__dirname, 'data', 'time-tracker.json');
+    const flushDelay = options.flushDelay ?? (parseInt(process.env.STORAGE_FLUSH_MS, 10) || 1000);
+    return new FileStorage(filePath, { flushDelay });
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = { MemoryStorage, FileStorage, createStorage };
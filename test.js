@@ -2,6 +2,10 @@
 const axios = require("axios");
 
 const BASE_URL = "https://intercom-time-tracker.onrender.com"; // Change to your Replit URL when deployed
+const CLIENT_SECRET =
+  process.env.INTERCOM_CLIENT_SECRET || "your_client_secret_here"; // Signs Canvas Kit requests
+const AUTH_USERNAME = process.env.AUTH_USERNAME || "admin"; // A user allowed to act for test_admin_456
+const AUTH_PASSWORD = process.env.AUTH_PASSWORD || "your_password_here";
 
 async function runTests() {
   console.log("🧪 Testing Intercom Time Tracker API");
@@ -30,6 +34,14 @@ async function runTests() {
     const initResponse = await axios.post(
       `${BASE_URL}/initialize`,
       initializePayload,
+      {
+        headers: {
+          "X-Body-Signature": createCanvasSignature(
+            initializePayload,
+            CLIENT_SECRET,
+          ),
+        },
+      },
     );
     console.log("✅ Initialize endpoint passed");
     console.log(
@@ -42,35 +54,235 @@ async function runTests() {
     );
     console.log();
 
+    // The /api endpoints need a signed-in user
+    console.log(`Signing in as ${AUTH_USERNAME}...`);
+    const loginResponse = await axios.post(`${BASE_URL}/auth/login`, {
+      username: AUTH_USERNAME,
+      password: AUTH_PASSWORD,
+    });
+    const auth = {
+      headers: { Authorization: `Bearer ${loginResponse.data.token}` },
+    };
+    console.log("✅ Signed in:", loginResponse.data.user);
+    console.log();
+
     // Test 3: Timer Management
     console.log("3. Testing timer pause endpoint...");
-    const pauseResponse = await axios.post(`${BASE_URL}/api/timer/pause`, {
-      admin_id: "test_admin_456",
-      conversation_id: "test_conv_123",
-    });
+    const pauseResponse = await axios.post(
+      `${BASE_URL}/api/timer/pause`,
+      {
+        admin_id: "test_admin_456",
+        conversation_id: "test_conv_123",
+      },
+      auth,
+    );
     console.log("✅ Timer pause passed:", pauseResponse.data);
     console.log();
 
     // Test 4: Timer Resume
     console.log("4. Testing timer resume endpoint...");
-    const resumeResponse = await axios.post(`${BASE_URL}/api/timer/resume`, {
-      admin_id: "test_admin_456",
-      conversation_id: "test_conv_123",
-    });
+    const resumeResponse = await axios.post(
+      `${BASE_URL}/api/timer/resume`,
+      {
+        admin_id: "test_admin_456",
+        conversation_id: "test_conv_123",
+      },
+      auth,
+    );
     console.log("✅ Timer resume passed:", resumeResponse.data);
     console.log();
 
-    // Test 5: Analytics
-    console.log("5. Testing analytics endpoint...");
+    // Test 5: Timer Start (client script)
+    console.log("5. Testing timer start endpoint...");
+    const startResponse = await axios.post(
+      `${BASE_URL}/api/timer/start`,
+      {
+        admin_id: "test_admin_456",
+        conversation_id: "test_conv_123",
+      },
+      auth,
+    );
+    console.log("✅ Timer start passed:", startResponse.data);
+    console.log();
+
+    // Test 6: Timer Heartbeat
+    console.log("6. Testing timer heartbeat endpoint...");
+    const heartbeatResponse = await axios.post(
+      `${BASE_URL}/api/timer/heartbeat`,
+      {
+        admin_id: "test_admin_456",
+        conversation_id: "test_conv_123",
+        timestamp: Date.now(),
+        visible: true,
+      },
+      auth,
+    );
+    console.log("✅ Timer heartbeat passed:", heartbeatResponse.data);
+    console.log();
+
+    // Test 7: Analytics
+    console.log("7. Testing analytics endpoint...");
     const analyticsResponse = await axios.get(
       `${BASE_URL}/api/analytics/test_admin_456`,
+      auth,
     );
     console.log("✅ Analytics endpoint passed:", analyticsResponse.data);
     console.log();
 
-    // Test 6: Webhook (without signature - will fail security check)
+    // Test 8: Queued timer events (what timer.js sends from its offline queue)
+    console.log("8. Testing timer events endpoint...");
+    const now = Date.now();
+    const startEvent = {
+      event_id: `test_start_${now}`,
+      type: "start",
+      admin_id: "test_admin_456",
+      conversation_id: "test_conv_events",
+      client_timestamp: now - 2000,
+    };
+    const pauseEvent = {
+      event_id: `test_pause_${now}`,
+      type: "pause",
+      admin_id: "test_admin_456",
+      conversation_id: "test_conv_events",
+      client_timestamp: now - 1000,
+      reason: "navigation",
+    };
+    // Sent out of order: the server applies them by client_timestamp
+    const eventsResponse = await axios.post(
+      `${BASE_URL}/api/timer/events`,
+      {
+        sent_at: now,
+        events: [
+          pauseEvent,
+          startEvent,
+          {
+            event_id: `test_invalid_${now}`,
+            type: "start",
+            admin_id: "test_admin_456",
+          },
+        ],
+      },
+      auth,
+    );
+    const statusOf = (response, eventId) =>
+      response.data.results.find((result) => result.event_id === eventId)
+        .status;
+    expect(
+      eventsResponse.data.results[1].event_id === startEvent.event_id &&
+        statusOf(eventsResponse, startEvent.event_id) === "applied" &&
+        statusOf(eventsResponse, pauseEvent.event_id) === "applied",
+      "start and pause should be applied in client_timestamp order",
+    );
+    expect(
+      statusOf(eventsResponse, `test_invalid_${now}`) === "rejected",
+      "an event without conversation_id should be rejected",
+    );
+    const resendResponse = await axios.post(
+      `${BASE_URL}/api/timer/events`,
+      { sent_at: Date.now(), events: [startEvent] },
+      auth,
+    );
+    expect(
+      statusOf(resendResponse, startEvent.event_id) === "duplicate",
+      "a re-sent event should be reported as a duplicate",
+    );
+    console.log("✅ Timer events passed:", eventsResponse.data.results);
+    console.log();
+
+    // Test 9: Manual time entries and the audit trail
+    console.log("9. Testing time entries and audit endpoints...");
+    const entryResponse = await axios.post(
+      `${BASE_URL}/api/time-entries`,
+      {
+        admin_id: "test_admin_456",
+        conversation_id: "test_conv_123",
+        duration: 15 * 60 * 1000,
+        reason: "Smoke test: phone call",
+      },
+      auth,
+    );
+    const entryId = entryResponse.data.session_id;
+    await axios.patch(
+      `${BASE_URL}/api/time-entries/${entryId}`,
+      { duration: 20 * 60 * 1000, reason: "Smoke test: call ran longer" },
+      auth,
+    );
+    await axios.delete(`${BASE_URL}/api/time-entries/${entryId}`, {
+      ...auth,
+      data: { reason: "Smoke test: clean up" },
+    });
+    const auditResponse = await axios.get(
+      `${BASE_URL}/api/audit?session_id=${entryId}`,
+      auth,
+    );
+    const actions = auditResponse.data.entries.map((entry) => entry.action);
+    expect(
+      actions.join(",") === "create,update,delete",
+      `audit trail should be create,update,delete (got ${actions})`,
+    );
+    console.log("✅ Time entries and audit passed:", actions);
+    console.log();
+
+    // Test 10: Workspace analytics
+    console.log("10. Testing workspace analytics endpoint...");
+    const overviewResponse = await axios.get(
+      `${BASE_URL}/api/analytics?include_live=true`,
+      auth,
+    );
+    expect(
+      Number.isFinite(overviewResponse.data.total_time) &&
+        overviewResponse.data.billing,
+      "workspace analytics should include total_time and billing",
+    );
+    console.log("✅ Workspace analytics passed:", {
+      total_sessions: overviewResponse.data.total_sessions,
+      total_time: overviewResponse.data.total_time,
+      billing: overviewResponse.data.billing,
+    });
+    console.log();
+
+    // Test 11: Export, one session per page, following the Link header
+    console.log("11. Testing export endpoint...");
+    const firstPage = await axios.get(
+      `${BASE_URL}/api/export?format=ndjson&limit=1`,
+      { ...auth, responseType: "text" },
+    );
+    const nextLink = /<([^>]+)>; rel="next"/.exec(firstPage.headers.link || "");
+    if (nextLink) {
+      const cursor = encodeURIComponent(firstPage.headers["x-next-cursor"]);
+      expect(
+        nextLink[1].includes(`cursor=${cursor}`),
+        "Link header should carry the X-Next-Cursor cursor",
+      );
+      const secondPage = await axios.get(`${BASE_URL}${nextLink[1]}`, {
+        ...auth,
+        responseType: "text",
+      });
+      expect(
+        secondPage.data.trim() && secondPage.data !== firstPage.data,
+        "the next page should hold a different session",
+      );
+      console.log("✅ Export paging passed (followed Link to page 2)");
+    } else {
+      console.log("✅ Export passed (only one session, so no next page)");
+    }
+    const csvResponse = await axios.get(`${BASE_URL}/api/export?limit=1`, auth);
+    expect(
+      csvResponse.data.startsWith("admin_id,"),
+      "CSV export should start with a header row",
+    );
+    try {
+      await axios.get(`${BASE_URL}/api/export?format=xml`, auth);
+      throw new Error("format=xml should be rejected");
+    } catch (error) {
+      if (!error.response || error.response.status !== 400) throw error;
+    }
+    console.log("✅ Export formats passed");
+    console.log();
+
+    // Test 12: Webhook (without signature - will fail security check)
     console.log(
-      "6. Testing webhook endpoint (expect 401 due to missing signature)...",
+      "12. Testing webhook endpoint (expect 401 due to missing signature)...",
     );
     try {
       const webhookResponse = await axios.post(
@@ -109,23 +321,40 @@ async function runTests() {
   }
 }
 
-// Helper function to test webhook with proper signature
-function createWebhookSignature(payload, secret) {
+// Fail the run with `message` unless `condition` holds
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to test webhook with proper signature ("sha1" or "sha256")
+function createWebhookSignature(payload, secret, algorithm = "sha1") {
   const crypto = require("crypto");
   return (
-    "sha1=" +
+    `${algorithm}=` +
     crypto
-      .createHmac("sha1", secret)
+      .createHmac(algorithm, secret)
       .update(JSON.stringify(payload), "utf8")
       .digest("hex")
   );
 }
 
+// Helper function to sign Canvas Kit requests the way Intercom does
+function createCanvasSignature(payload, secret) {
+  const crypto = require("crypto");
+  return crypto
+    .createHmac("sha256", secret)
+    .update(JSON.stringify(payload), "utf8")
+    .digest("hex");
+}
+
 async function testWebhookWithSignature() {
-  console.log("\n7. Testing webhook with valid signature...");
+  console.log("\n13. Testing webhook with valid signature...");
 
+  // Unique notification id so the server's replay protection doesn't drop it
   const payload = {
-    type: "conversation.admin.closed",
+    id: `notif_test_${Date.now()}`,
+    created_at: Math.floor(Date.now() / 1000),
+    topic: "conversation.admin.closed",
     data: {
       item: {
         id: "test_conv_123",
@@ -161,4 +390,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { runTests, createWebhookSignature };
+module.exports = { runTests, createWebhookSignature, createCanvasSignature };